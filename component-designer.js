@@ -74,9 +74,9 @@ class ComponentDesigner {
         
         // 表單變更
         const formInputs = [
-            'component-name', 'component-type', 'component-category', 
+            'component-name', 'component-id', 'component-prefix', 'component-type', 'component-category', 
             'component-description', 'default-value', 'unit', 
-            'min-value', 'max-value'
+            'min-value', 'max-value', 'netlist-template'
         ];
         
         formInputs.forEach(id => {
@@ -1134,11 +1134,14 @@ class ComponentDesigner {
         const name = document.getElementById('component-name').value || '新元件';
         const type = document.getElementById('component-type').value || 'passive';
         const category = document.getElementById('component-category').value || 'custom';
+        const componentId = document.getElementById('component-id').value.trim() || 'Custom';
+        const designatorPrefix = document.getElementById('component-prefix').value.trim() || 'X';
         const description = document.getElementById('component-description').value || '';
         const defaultValue = document.getElementById('default-value').value || '';
         const unit = document.getElementById('unit').value || '';
         const minValue = document.getElementById('min-value').value;
         const maxValue = document.getElementById('max-value').value;
+        const netlistTemplate = document.getElementById('netlist-template').value.trim();
         
         // 計算邊界框
         const bounds = this.calculateBoundingBox();
@@ -1151,6 +1154,8 @@ class ComponentDesigner {
         
         const componentData = {
             metadata: {
+                id: componentId,
+                designatorPrefix: designatorPrefix,
                 name: name,
                 type: type,
                 category: category,
@@ -1201,6 +1206,10 @@ class ComponentDesigner {
             if (minValue) componentData.properties.valueRange.min = parseFloat(minValue);
             if (maxValue) componentData.properties.valueRange.max = parseFloat(maxValue);
         }
+        // 網表模板語法見 js/netlistTemplate.js；參考元件 (接地) 不產生網表行
+        if (netlistTemplate && type !== 'reference') {
+            componentData.spice = { netlistTemplate: netlistTemplate };
+        }
         
         return componentData;
     }
@@ -0,0 +1,108 @@
+/**
+ * acAnalysis.js - 交流小訊號頻率掃描
+ *
+ * 先求直流工作點，將非線性元件在工作點線性化，
+ * 再於每個頻率組裝並求解複數 MNA 方程式。
+ */
+
+import { getDeviceModel } from './devices.js';
+import { ComplexMNASystem, solveOperatingPoint, solveSystem, DEFAULT_GSHUNT } from './mna.js';
+
+/**
+ * 依掃描方式產生頻率點。
+ * @param {object} settings - { sweepType: 'dec'|'oct'|'lin', points, startFrequency, stopFrequency }
+ * @returns {Array<number>}
+ */
+export function generateFrequencies(settings) {
+    const start = Number(settings.startFrequency);
+    const stop = Number(settings.stopFrequency);
+    const points = Math.round(Number(settings.points));
+    if (!(start > 0) || !(stop > start)) {
+        throw new Error('交流分析的頻率範圍無效 (需 0 < 起始頻率 < 停止頻率)');
+    }
+    if (!(points >= 1)) {
+        throw new Error('交流分析的點數必須至少為 1');
+    }
+
+    if (settings.sweepType === 'lin') {
+        if (points === 1) return [start];
+        return Array.from({ length: points }, (_, i) => start + (stop - start) * i / (points - 1));
+    }
+    // 十倍頻 (dec) 或八度 (oct)：每個區間固定點數的對數間距
+    const ratio = settings.sweepType === 'oct' ? 2 : 10;
+    const intervals = Math.log(stop / start) / Math.log(ratio);
+    const total = Math.max(1, Math.round(intervals * points));
+    return Array.from({ length: total + 1 }, (_, i) => start * Math.pow(stop / start, i / total));
+}
+
+/**
+ * 執行交流分析。
+ * @param {object} model - buildCircuitModel 產生的電路模型。
+ * @param {object} settings - 掃描設定，見 generateFrequencies。
+ * @returns {{frequency: Array<number>, voltages: object, currents: object, op: object}}
+ *   voltages[node] / currents[id] 皆為 { re: [], im: [] }。
+ */
+export function runAC(model, settings) {
+    const frequencies = generateFrequencies(settings);
+    const op = solveOperatingPoint(model);
+    const nodeCount = model.nodeNames.length;
+
+    const result = { frequency: frequencies, voltages: {}, currents: {}, op };
+    model.nodeNames.forEach(name => { result.voltages[name] = { re: [], im: [] }; });
+    model.elements.forEach(el => {
+        if (el.branch !== -1) result.currents[el.id] = { re: [], im: [] };
+    });
+
+    frequencies.forEach(frequency => {
+        const ctx = { mode: 'ac', omega: 2 * Math.PI * frequency, solution: op.solution };
+        const system = new ComplexMNASystem(nodeCount, model.branchCount);
+        model.elements.forEach(el => getDeviceModel(el.type).stampAC(system, el, ctx));
+        for (let n = 0; n < nodeCount; n++) system.addMatrix(n, n, DEFAULT_GSHUNT);
+        const x = solveSystem(model, system);
+
+        model.nodeNames.forEach((name, i) => {
+            result.voltages[name].re.push(x.re[i]);
+            result.voltages[name].im.push(x.im[i]);
+        });
+        model.elements.forEach(el => {
+            if (el.branch === -1) return;
+            result.currents[el.id].re.push(x.re[nodeCount + el.branch]);
+            result.currents[el.id].im.push(x.im[nodeCount + el.branch]);
+        });
+    });
+    return result;
+}
+
+/**
+ * 計算節點對 V(outputNode) - V(referenceNode) 的波德圖資料。
+ * @param {object} ac - runAC 的結果。
+ * @param {string} outputNode - 輸出節點名稱。
+ * @param {string} [referenceNode='0'] - 參考節點名稱。
+ * @returns {{magnitudeDb: Array<number>, phaseDeg: Array<number>}}
+ */
+export function computeBode(ac, outputNode, referenceNode = '0') {
+    const zeros = { re: ac.frequency.map(() => 0), im: ac.frequency.map(() => 0) };
+    const out = outputNode === '0' ? zeros : ac.voltages[outputNode];
+    const ref = referenceNode === '0' ? zeros : ac.voltages[referenceNode];
+    if (!out || !ref) {
+        throw new Error(`找不到節點 ${!out ? outputNode : referenceNode}`);
+    }
+
+    const magnitudeDb = [];
+    const phaseDeg = [];
+    let previousPhase = null;
+    ac.frequency.forEach((_, i) => {
+        const re = out.re[i] - ref.re[i];
+        const im = out.im[i] - ref.im[i];
+        magnitudeDb.push(20 * Math.log10(Math.hypot(re, im)));
+        // 相位展開，避免曲線在 ±180° 處跳動
+        let phase = Math.atan2(im, re) * 180 / Math.PI;
+        if (previousPhase !== null) {
+            while (phase - previousPhase > 180) phase -= 360;
+            while (phase - previousPhase < -180) phase += 360;
+        }
+        phaseDeg.push(phase);
+        previousPhase = phase;
+    });
+    return { magnitudeDb, phaseDeg };
+}
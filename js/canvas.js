@@ -1,5 +1,6 @@
  import { svg, svgNS, state, circuit, gridSize } from './state.js';
-import { getComponentSVG } from './components.js';
+import { getComponentSVG, getComponentBounds, componentTransform } from './components.js';
+import { getComponentLabels } from './labels.js';
 
 /**
  * 在 SVG 中創建一個可重複的網格圖案背景。
@@ -47,7 +48,7 @@ function pointsToSvgPath(points) {
  * 簡化導線，移除共線的多餘點（改進版，保持交叉點）
  * @param {object} wire - 要簡化的導線物件。
  */
-function simplifyWire(wire) {
+export function simplifyWire(wire) {
     if (wire.points.length < 3) return;
 
     // 創建一個交叉點位置的集合，用於保護這些點不被刪除
@@ -105,12 +106,7 @@ function isRectCollidingWithComponents(rect, ignoreComponentIds = []) {
             continue;
         }
 
-        const compRect = {
-            x: comp.x - gridSize * 2,
-            y: comp.y - gridSize * 1.5,
-            width: gridSize * 4,
-            height: gridSize * 3
-        };
+        const compRect = getComponentBounds(comp);
 
         if (rect.x < compRect.x + compRect.width &&
             rect.x + rect.width > compRect.x &&
@@ -599,14 +595,17 @@ export function render() {
         polyline.setAttribute('points', pointsToSvgPath(wire.points));
         polyline.classList.add('wire');
         polyline.dataset.id = wire.id;
+        if (state.selectedWireIds.includes(wire.id)) {
+            polyline.classList.add('selected');
+        }
         svg.appendChild(polyline);
     });
 
     // 渲染元件
     circuit.components.forEach(comp => {
         const g = document.createElementNS(svgNS, 'g');
-        g.innerHTML = getComponentSVG(comp.type);
-        g.setAttribute('transform', `translate(${comp.x}, ${comp.y}) rotate(${comp.rotation})`);
+        g.innerHTML = getComponentSVG(comp.type, comp);
+        g.setAttribute('transform', componentTransform(comp));
         g.classList.add('component');
         g.dataset.id = comp.id;
         if (state.selectedComponentIds.includes(comp.id)) {
@@ -615,6 +614,22 @@ export function render() {
         svg.appendChild(g);
     });
 
+    // 渲染元件編號與數值 (不放在元件的 g 內，文字不隨元件旋轉)
+    circuit.components.forEach(comp => {
+        getComponentLabels(comp).forEach(label => {
+            const text = document.createElementNS(svgNS, 'text');
+            text.classList.add('component-label', `component-label-${label.key}`);
+            if (state.selectedComponentIds.includes(comp.id)) text.classList.add('selected');
+            text.dataset.id = comp.id;
+            text.dataset.label = label.key;
+            text.setAttribute('x', label.x);
+            text.setAttribute('y', label.y);
+            text.setAttribute('text-anchor', label.anchor);
+            text.textContent = label.text;
+            svg.appendChild(text);
+        });
+    });
+
     // 渲染「連接點」 (Connection Dots) - 改進版本
     const pointConnections = new Map();
     
@@ -0,0 +1,174 @@
+/**
+ * circuitModel.js - 由畫布資料建立電氣模型
+ *
+ * 將 circuit.components / circuit.wires 轉換為節點對應表與可供求解器使用的元素清單。
+ */
+
+import { getDeviceModel } from './devices.js';
+
+// 使用 Disjoint Set Union (DSU) 演算法來高效地確定節點連接關係
+export class DSU {
+    constructor() { this.parent = {}; }
+    find(i) {
+        if (this.parent[i] === undefined) this.parent[i] = i;
+        if (this.parent[i] === i) return i;
+        return this.parent[i] = this.find(this.parent[i]);
+    }
+    union(i, j) {
+        const rootI = this.find(i);
+        const rootJ = this.find(j);
+        if (rootI !== rootJ) this.parent[rootI] = rootJ;
+    }
+}
+
+// 網路標籤的名稱；網表的節點名稱不能含空白，因此以底線取代
+export function netLabelName(component) {
+    return String(component.netName ?? '').trim().replace(/\s+/g, '_');
+}
+
+/**
+ * 將分析設定中儲存的節點參照轉為目前的節點名稱。
+ * 自動命名的節點 (N1, N2...) 會隨電路修改而重新編號，因此設定以「元件.端子」(如 R1.t1) 記錄；
+ * 網路標籤名稱與 0 本身就是穩定的名稱，直接沿用。
+ * @param {string} reference - 「元件.端子」或節點名稱。
+ * @param {object} terminalToNodeName - buildNodeMap 產生的端點對應表。
+ * @returns {string} - 找不到對應端點時原樣回傳。
+ */
+export function resolveNodeReference(reference, terminalToNodeName) {
+    const match = /^(.+)\.([^.]+)$/.exec(reference || '');
+    const node = match ? terminalToNodeName[`${match[1]}_${match[2]}`] : undefined;
+    return node ?? reference;
+}
+
+/**
+ * 建立「元件端點 → 節點名稱」的對應表。
+ * 端點與導線上位於同一座標的點視為相連，因此導線首尾、穿過端點的導線，
+ * 以及畫面上以連接點標示的導線交叉/T 形接點都會併入同一節點。
+ * 名稱相同的網路標籤 (NetLabel) 互相連接，所在網路以標籤名稱命名。
+ * 與接地 (Ground) 元件或名為 0 的標籤相連的節點命名為 '0'；電路中沒有接地時 groundNodeName 為 null。
+ * @param {object} circuitData - 含 components 與 wires 的電路資料。
+ * @returns {{terminalToNodeName: object, nodeNames: Array<string>, groundNodeName: string|null}}
+ */
+export function buildNodeMap(circuitData) {
+    const dsu = new DSU();
+    const pointKey = (p) => `@${p.x},${p.y}`;
+    const terminalKeys = [];
+
+    // 將每個端點視為一個獨立的節點，並與其座標合併
+    circuitData.components.forEach(comp => {
+        Object.keys(comp.terminals).forEach(termId => {
+            const key = `${comp.id}_${termId}`;
+            terminalKeys.push(key);
+            dsu.union(key, pointKey(comp.terminals[termId]));
+        });
+    });
+
+    // 遍歷所有線路，合併線路上的每個點以及明確記錄的端點連接
+    circuitData.wires.forEach(wire => {
+        wire.points.forEach(point => {
+            dsu.union(pointKey(wire.points[0]), pointKey(point));
+            if (point.terminal) {
+                dsu.union(pointKey(point), `${point.terminal.componentId}_${point.terminal.terminalId}`);
+            }
+        });
+    });
+
+    // 網路標籤：同名標籤的端點合併到 #名稱 (空白名稱的標籤不連接任何網路)
+    const labelOfRoot = {};
+    circuitData.components
+        .filter(c => c.type === 'NetLabel' && netLabelName(c))
+        .forEach(c => Object.keys(c.terminals).forEach(termId => dsu.union(`${c.id}_${termId}`, `#${netLabelName(c)}`)));
+    circuitData.components
+        .filter(c => c.type === 'NetLabel' && netLabelName(c))
+        .forEach(c => {
+            const root = dsu.find(`#${netLabelName(c)}`);
+            if (!labelOfRoot[root]) labelOfRoot[root] = netLabelName(c);
+        });
+
+    // 接地：所有與 Ground 元件端點相連的網路一律命名為節點 0
+    const groundRoots = new Set(circuitData.components
+        .filter(c => c.type === 'Ground')
+        .flatMap(c => Object.keys(c.terminals).map(termId => dsu.find(`${c.id}_${termId}`))));
+    Object.keys(labelOfRoot).filter(root => labelOfRoot[root] === '0').forEach(root => groundRoots.add(root));
+    const groundNodeName = groundRoots.size > 0 ? '0' : null;
+
+    // 有標籤的網路使用標籤名稱，其餘集合的根分配未被標籤占用的名稱 (N1, N2...)
+    const usedNames = new Set(Object.values(labelOfRoot));
+    let nodeCounter = 0;
+    const nextNodeName = () => {
+        let name;
+        do { name = `N${++nodeCounter}`; } while (usedNames.has(name));
+        return name;
+    };
+    const rootToNodeName = {};
+    const terminalToNodeName = {};
+    terminalKeys.forEach(terminalKey => {
+        const root = dsu.find(terminalKey);
+        if (!rootToNodeName[root]) {
+            rootToNodeName[root] = groundRoots.has(root) ? '0' : (labelOfRoot[root] || nextNodeName());
+        }
+        terminalToNodeName[terminalKey] = rootToNodeName[root];
+    });
+
+    const nodeNames = [...new Set(Object.values(terminalToNodeName))];
+    return { terminalToNodeName, nodeNames, groundNodeName };
+}
+
+/**
+ * 建立求解器使用的電路模型。
+ * 非接地節點依序編號 (0..n-1)，接地節點 '0' 的索引為 -1；
+ * 需要額外分支電流未知數的元件 (電壓源、電感) 會被分配分支索引，
+ * 電流控制的受控電源另記錄控制元件的分支索引 (controlBranch)。
+ * @param {object} circuitData - 含 components 與 wires 的電路資料。
+ * @param {object} terminalToNodeName - buildNodeMap 產生的端點對應表。
+ * @returns {object} - { nodeNames, nodeIndex, elements, branchCount }
+ */
+export function buildCircuitModel(circuitData, terminalToNodeName) {
+    const nodeNames = [];
+    const nodeIndex = { '0': -1 };
+    const indexOfNode = (name) => {
+        if (nodeIndex[name] === undefined) {
+            nodeIndex[name] = nodeNames.length;
+            nodeNames.push(name);
+        }
+        return nodeIndex[name];
+    };
+
+    let branchCount = 0;
+    const elements = [];
+    circuitData.components.forEach(comp => {
+        const device = getDeviceModel(comp.type);
+        if (!device) {
+            throw new Error(`元件 ${comp.id} 的類型 ${comp.type} 不支援模擬`);
+        }
+        const nodes = {};
+        Object.keys(comp.terminals).forEach(termId => {
+            nodes[termId] = indexOfNode(terminalToNodeName[`${comp.id}_${termId}`]);
+        });
+        const element = {
+            id: comp.id,
+            type: comp.type,
+            nodes,
+            params: { ...comp },
+            // 電路中定義的 .MODEL 卡優先於內建模型
+            modelCard: comp.model && circuitData.models ? circuitData.models[comp.model] : undefined,
+            branch: -1,
+        };
+        if (device.branches) {
+            element.branch = branchCount;
+            branchCount += device.branches;
+        }
+        elements.push(element);
+    });
+
+    // 電流控制的受控電源：取得 control 所指元件的分支電流索引
+    elements.filter(element => getDeviceModel(element.type).currentControlled).forEach(element => {
+        const control = elements.find(other => other.id === element.params.control);
+        if (!control || control.branch < 0) {
+            throw new Error(`${element.id} 的控制元件 ${element.params.control || '(未指定)'} 不存在或沒有分支電流 (請指定電壓源)`);
+        }
+        element.controlBranch = control.branch;
+    });
+
+    return { nodeNames, nodeIndex, elements, branchCount };
+}
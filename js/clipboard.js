@@ -0,0 +1,170 @@
+/**
+ * clipboard.js - 複製、剪下、貼上
+ *
+ * 剪貼簿內容為 JSON 文字 (CLIPBOARD_FORMAT)，可經由系統剪貼簿在不同分頁之間貼上。
+ * 複製時包含選取的元件與導線、完全位於選取範圍內的導線，以及元件引用的 .MODEL 卡；
+ * 貼上時以 elementCounter 重新編號，並將導線的端點連接改指向新元件。
+ */
+
+import { circuit, elementCounter, gridSize } from './state.js';
+import { getComponentDefinition } from './componentLibrary.js';
+import { updateComponentTerminals, getComponentBounds } from './components.js';
+
+export const CLIPBOARD_FORMAT = 'akingcircuit-clipboard';
+
+const snap = (value) => Math.round(value / gridSize) * gridSize;
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// 同一分頁內的最近一次複製 (系統剪貼簿無法讀取時使用)
+let lastCopied = null;
+
+/**
+ * 選取元件 (含端點) 與導線的外框。
+ */
+function selectionBox(components, wires = []) {
+    const box = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    const extend = (xs, ys) => {
+        box.left = Math.min(box.left, ...xs);
+        box.right = Math.max(box.right, ...xs);
+        box.top = Math.min(box.top, ...ys);
+        box.bottom = Math.max(box.bottom, ...ys);
+    };
+    components.forEach(component => {
+        const bounds = getComponentBounds(component);
+        extend([bounds.x, bounds.x + bounds.width, ...Object.values(component.terminals).map(t => t.x)],
+            [bounds.y, bounds.y + bounds.height, ...Object.values(component.terminals).map(t => t.y)]);
+    });
+    wires.forEach(wire => extend(wire.points.map(p => p.x), wire.points.map(p => p.y)));
+    return box;
+}
+
+/**
+ * 找出完全位於選取範圍內的導線：所有頂點都在選取元件的外框內，
+ * 且連接的端點都屬於選取的元件。
+ * @param {Array<string>} ids - 選取的元件 ID。
+ * @returns {Array<object>}
+ */
+export function findWiresInside(ids) {
+    const components = circuit.components.filter(c => ids.includes(c.id));
+    if (components.length === 0) return [];
+    const box = selectionBox(components);
+    return circuit.wires.filter(wire => wire.points.every(point => {
+        if (point.terminal && !ids.includes(point.terminal.componentId)) return false;
+        return point.x >= box.left && point.x <= box.right && point.y >= box.top && point.y <= box.bottom;
+    }));
+}
+
+/**
+ * 建立選取內容的剪貼簿資料。
+ * @param {Array<string>} ids - 選取的元件 ID。
+ * @param {Array<string>} [wireIds=[]] - 選取的導線 ID；連到未選取元件的端點連接不會保留。
+ * @returns {object|null} - 沒有選取任何物件時為 null。
+ */
+export function copyComponents(ids, wireIds = []) {
+    const components = circuit.components.filter(c => ids.includes(c.id));
+    const inside = findWiresInside(ids);
+    const wires = circuit.wires.filter(w => inside.includes(w) || wireIds.includes(w.id));
+    if (components.length === 0 && wires.length === 0) return null;
+    const box = selectionBox(components, wires);
+
+    const models = {};
+    components.forEach(component => {
+        if (component.model && circuit.models && circuit.models[component.model]) {
+            models[component.model] = circuit.models[component.model];
+        }
+    });
+
+    lastCopied = clone({
+        format: CLIPBOARD_FORMAT,
+        version: 1,
+        // 貼上時以此點對齊游標
+        origin: { x: snap((box.left + box.right) / 2), y: snap((box.top + box.bottom) / 2) },
+        components,
+        wires: wires.map(wire => ({
+            points: wire.points.map(({ x, y, terminal }) => (terminal && ids.includes(terminal.componentId) ? { x, y, terminal } : { x, y })),
+        })),
+        models,
+    });
+    return lastCopied;
+}
+
+/**
+ * 解析系統剪貼簿的文字；不是本程式的剪貼簿內容時回傳 null。
+ * @param {string} text
+ * @returns {object|null}
+ */
+export function parseClipboardText(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+    if (!data || data.format !== CLIPBOARD_FORMAT || !Array.isArray(data.components) || !Array.isArray(data.wires)) {
+        return null;
+    }
+    return data;
+}
+
+export function getLastCopied() {
+    return lastCopied;
+}
+
+function nextWireId(usedIds) {
+    let n = circuit.wires.length + 1;
+    while (usedIds.has(`w${n}`)) n++;
+    usedIds.add(`w${n}`);
+    return `w${n}`;
+}
+
+/**
+ * 由剪貼簿內容產生新的元件與導線 (尚未加入電路)。
+ * @param {object} data - copyComponents 或 parseClipboardText 的結果。
+ * @param {{x: number, y: number}} target - 剪貼簿 origin 要對齊的位置。
+ * @returns {{components: Array<object>, wires: Array<object>, models: object}}
+ * @throws {Error} 含有元件庫沒有的元件類型時。
+ */
+export function instantiateClipboard(data, target) {
+    const unknown = [...new Set(data.components.map(c => c.type).filter(type => !getComponentDefinition(type)))];
+    if (unknown.length > 0) {
+        throw new Error(`元件庫中沒有 ${unknown.join(', ')}，無法貼上`);
+    }
+    const dx = snap(target.x) - data.origin.x;
+    const dy = snap(target.y) - data.origin.y;
+
+    const usedIds = new Set(circuit.components.map(c => c.id));
+    const idMap = {};
+    const components = data.components.map(source => {
+        const prefix = getComponentDefinition(source.type).metadata.designatorPrefix || 'X';
+        let id;
+        do {
+            elementCounter[prefix] = (elementCounter[prefix] || 0) + 1;
+            id = `${prefix}${elementCounter[prefix]}`;
+        } while (usedIds.has(id));
+        usedIds.add(id);
+        idMap[source.id] = id;
+
+        const component = { ...clone(source), id, x: source.x + dx, y: source.y + dy, terminals: {} };
+        updateComponentTerminals(component);
+        return component;
+    });
+
+    const usedWireIds = new Set(circuit.wires.map(w => w.id));
+    const wires = data.wires.map(source => ({
+        id: nextWireId(usedWireIds),
+        points: source.points.map(point => {
+            const moved = { x: point.x + dx, y: point.y + dy };
+            if (point.terminal && idMap[point.terminal.componentId]) {
+                moved.terminal = { componentId: idMap[point.terminal.componentId], terminalId: point.terminal.terminalId };
+            }
+            return moved;
+        }),
+    }));
+
+    // 目前電路沒有的模型一併加入；同名模型保留現有定義
+    const models = {};
+    Object.keys(data.models || {}).forEach(name => {
+        if (!circuit.models || !circuit.models[name]) models[name] = clone(data.models[name]);
+    });
+    return { components, wires, models };
+}
@@ -0,0 +1,185 @@
+/**
+ * componentLibrary.js - 元件庫
+ *
+ * 啟動時依 components/index.json 載入各元件的 JSON 定義 (格式見 component-schema.json)，
+ * 提供 SVG 模板展開、端子位置與預設屬性給主程式使用。
+ */
+
+const LIBRARY_PATH = 'components/';
+
+// 以 metadata.id (即電路資料中的 type) 為鍵的元件定義
+const library = {};
+const libraryOrder = [];
+// 展開後的 SVG 快取 (鍵為 type 與啟用的選用片段)
+const svgCache = {};
+
+/**
+ * 計算算式。只允許數字、變數、+ - * / 與括號，不使用 eval，避免檔案內容執行任意程式碼。
+ * 結果取 15 位有效數字消除浮點誤差，極小的數值 (如 10n) 不受影響。
+ * @param {string} expression - 算式，如 "-gridSize*2"、"2*cval"。
+ * @param {object} scope - 變數表。
+ * @returns {number|string}
+ */
+export function evaluateExpression(expression, scope) {
+    const tokens = expression.match(/\d*\.?\d+(?:e[-+]?\d+)?|[A-Za-z_][A-Za-z0-9_]*|\S/gi) || [];
+    let pos = 0;
+    const fail = (message) => { throw new Error(`模板算式「${expression}」${message}`); };
+
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+        if (token === undefined) fail('不完整');
+        if (token === '(') {
+            const value = parseSum();
+            if (tokens[pos++] !== ')') fail('缺少右括號');
+            return value;
+        }
+        if (token === '-') return -parsePrimary();
+        if (token === '+') return +parsePrimary();
+        if (/^[A-Za-z_]/.test(token)) {
+            if (!Object.prototype.hasOwnProperty.call(scope, token)) fail(`使用了未定義的變數 ${token}`);
+            return scope[token];
+        }
+        const number = Number(token);
+        if (Number.isNaN(number)) fail(`含有無法辨識的符號 ${token}`);
+        return number;
+    };
+    const parseProduct = () => {
+        let value = parsePrimary();
+        while (tokens[pos] === '*' || tokens[pos] === '/') {
+            const op = tokens[pos++];
+            const rhs = parsePrimary();
+            value = op === '*' ? value * rhs : value / rhs;
+        }
+        return value;
+    };
+    const parseSum = () => {
+        let value = parseProduct();
+        while (tokens[pos] === '+' || tokens[pos] === '-') {
+            const op = tokens[pos++];
+            const rhs = parseProduct();
+            value = op === '+' ? value + rhs : value - rhs;
+        }
+        return value;
+    };
+
+    const value = parseSum();
+    if (pos < tokens.length) fail(`在「${tokens[pos]}」附近有多餘的內容`);
+    return typeof value === 'number' ? Number(value.toPrecision(15)) : value;
+}
+
+/**
+ * 計算 SVG 模板中 ${...} 內的算式；座標取到小數第 6 位 (如 20*0.7 = 13.999999999999998 → 14)。
+ * @param {string} expression
+ * @param {object} scope
+ * @returns {number|string}
+ */
+export function evaluateTemplateExpression(expression, scope) {
+    const value = evaluateExpression(expression, scope);
+    return typeof value === 'number' ? Number(value.toFixed(6)) : value;
+}
+
+/**
+ * 展開 SVG 模板中的 ${...}。
+ * @param {string} template
+ * @param {object} scope - 變數表 (svg.parameters 與 svg.styles)。
+ * @returns {string}
+ */
+export function renderTemplate(template, scope) {
+    return template.replace(/\$\{([^}]*)\}/g, (_, expression) => String(evaluateTemplateExpression(expression, scope)));
+}
+
+function validateDefinition(definition, file) {
+    const missing = ['metadata', 'geometry', 'terminals', 'svg'].filter(key => !definition[key]);
+    if (missing.length > 0) {
+        throw new Error(`${file} 缺少必要欄位：${missing.join(', ')}`);
+    }
+    if (!definition.metadata.id) {
+        throw new Error(`${file} 缺少 metadata.id`);
+    }
+    if (!Array.isArray(definition.terminals) || definition.terminals.length === 0) {
+        throw new Error(`${file} 至少需要定義一個端子`);
+    }
+    if (!definition.svg.template) {
+        throw new Error(`${file} 缺少 svg.template`);
+    }
+    // 先展開一次模板，讓算式錯誤在載入時就被發現
+    renderTemplate(definition.svg.template, templateScope(definition));
+}
+
+function templateScope(definition) {
+    return { gridSize: 20, ...(definition.svg.parameters || {}), ...(definition.svg.styles || {}) };
+}
+
+/**
+ * 載入元件庫。
+ * @returns {Promise<Array<object>>} - 依 index.json 順序排列的元件定義。
+ */
+export async function loadComponentLibrary() {
+    const fetchJson = async (file) => {
+        const response = await fetch(LIBRARY_PATH + file);
+        if (!response.ok) {
+            throw new Error(`無法載入 ${file} (HTTP ${response.status})`);
+        }
+        return response.json();
+    };
+
+    const index = await fetchJson('index.json');
+    const definitions = await Promise.all(index.components.map(async (file) => {
+        const definition = await fetchJson(file);
+        validateDefinition(definition, file);
+        return definition;
+    }));
+    definitions.forEach(definition => registerComponentDefinition(definition));
+    return getComponentDefinitions();
+}
+
+/**
+ * 註冊一個元件定義 (同 id 會覆蓋先前的定義)。
+ */
+export function registerComponentDefinition(definition) {
+    const type = definition.metadata.id;
+    if (!library[type]) libraryOrder.push(type);
+    library[type] = definition;
+    Object.keys(svgCache).filter(key => key.split('|')[0] === type).forEach(key => delete svgCache[key]);
+}
+
+export function getComponentDefinition(type) {
+    return library[type];
+}
+
+export function getComponentDefinitions() {
+    return libraryOrder.map(type => library[type]);
+}
+
+// 依 geometry.boundingBox 產生透明的點選範圍，讓 fill="none" 的圖形內部也能被選取
+function hitboxSVG(definition, gridSize) {
+    const box = definition.geometry.boundingBox;
+    if (!box) return '';
+    const center = definition.geometry.centerPoint || { x: 0, y: 0 };
+    const width = box.width * gridSize;
+    const height = box.height * gridSize;
+    const x = center.x * gridSize - width / 2;
+    const y = center.y * gridSize - height / 2;
+    return `<rect class="component-hitbox" x="${x}" y="${y}" width="${width}" height="${height}"></rect>`;
+}
+
+/**
+ * 取得元件的 SVG 內容；component 帶有 svg.optionalTemplates 對應的布林屬性時會附加該片段。
+ * @param {string} type - 元件類型。
+ * @param {object} [component] - 元件資料。
+ * @returns {string}
+ */
+export function renderComponentSVG(type, component) {
+    const definition = library[type];
+    if (!definition) return '';
+    const optional = definition.svg.optionalTemplates || {};
+    const enabled = Object.keys(optional).filter(flag => component && component[flag]);
+    const cacheKey = [type, ...enabled].join('|');
+    if (svgCache[cacheKey] === undefined) {
+        const scope = templateScope(definition);
+        svgCache[cacheKey] = hitboxSVG(definition, scope.gridSize) +
+            [definition.svg.template, ...enabled.map(flag => optional[flag])]
+                .map(template => renderTemplate(template, scope)).join('');
+    }
+    return svgCache[cacheKey];
+}
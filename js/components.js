@@ -1,166 +1,119 @@
 import { gridSize, elementCounter } from './state.js';
+import { getComponentDefinition, renderComponentSVG } from './componentLibrary.js';
 
-// SVG 圖形定義
-const componentSVGs = {
-    Resistor: `<line x1="${-gridSize*2}" y1="0" x2="${-gridSize}" y2="0"></line><rect x="${-gridSize}" y="${-gridSize/2}" width="${gridSize*2}" height="${gridSize}"></rect><line x1="${gridSize}" y1="0" x2="${gridSize*2}" y2="0"></line>`,
-    Capacitor: `<line x1="${-gridSize*2}" y1="0" x2="${-gridSize/2}" y2="0"></line><line x1="${-gridSize/2}" y1="${-gridSize}" x2="${-gridSize/2}" y2="${-gridSize}"></line><line x1="${-gridSize/2}" y1="${-gridSize}" x2="${-gridSize/2}" y2="${gridSize}"></line><line x1="${gridSize/2}" y1="${-gridSize}" x2="${gridSize/2}" y2="${gridSize}"></line><line x1="${gridSize/2}" y1="0" x2="${gridSize*2}" y2="0"></line>`,
-    Inductor: `<line x1="${-gridSize*2}" y1="0" x2="${-gridSize*1.5}" y2="0"></line><path d="M ${-gridSize*1.5} 0 C ${-gridSize*1.5} ${-gridSize}, ${-gridSize*0.5} ${-gridSize}, ${-gridSize*0.5} 0"></path><path d="M ${-gridSize*0.5} 0 C ${-gridSize*0.5} ${-gridSize}, ${gridSize*0.5} ${-gridSize}, ${gridSize*0.5} 0"></path><path d="M ${gridSize*0.5} 0 C ${gridSize*0.5} ${-gridSize}, ${gridSize*1.5} ${-gridSize}, ${gridSize*1.5} 0"></path><line x1="${gridSize*1.5}" y1="0" x2="${gridSize*2}" y2="0"></line>`,
-    DC_Source: `<line x1="${-gridSize*2}" y1="0" x2="${-gridSize}" y2="0"></line><circle cx="0" cy="0" r="${gridSize}"></circle><line x1="${-gridSize/2}" y1="0" x2="${gridSize/2}" y2="0"></line><line x1="0" y1="${-gridSize/2}" x2="0" y2="${gridSize/2}"></line><line x1="${gridSize}" y1="0" x2="${gridSize*2}" y2="0"></line>`,
-    
-    // N-Channel MOSFET (Enhancement mode with body diode)
-    NMOS: `
-        <!-- Drain terminal line -->
-        <line x1="0" y1="${-gridSize*2}" x2="0" y2="${-gridSize}"></line>
-        
-        <!-- Source terminal line -->
-        <line x1="0" y1="${gridSize}" x2="0" y2="${gridSize*2}"></line>
-        
-        <!-- Gate terminal line -->
-        <line x1="${-gridSize*2}" y1="0" x2="${-gridSize*0.7}" y2="0"></line>
-        
-        <!-- Gate electrode (vertical line with gap) -->
-        <line x1="${-gridSize*0.7}" y1="${-gridSize*0.8}" x2="${-gridSize*0.7}" y2="${gridSize*0.8}" stroke-width="2"></line>
-        
-        <!-- Channel region (vertical line) -->
-        <line x1="${-gridSize*0.3}" y1="${-gridSize*0.8}" x2="${-gridSize*0.3}" y2="${gridSize*0.8}" stroke-width="3"></line>
-        
-        <!-- Drain connection to channel -->
-        <line x1="${-gridSize*0.3}" y1="${-gridSize*0.8}" x2="0" y2="${-gridSize*0.8}"></line>
-        <line x1="0" y1="${-gridSize}" x2="0" y2="${-gridSize*0.8}"></line>
-        
-        <!-- Source connection to channel -->
-        <line x1="${-gridSize*0.3}" y1="${gridSize*0.8}" x2="0" y2="${gridSize*0.8}"></line>
-        <line x1="0" y1="${gridSize}" x2="0" y2="${gridSize*0.8}"></line>
-        
-        <!-- Body diode (triangle pointing from source to drain) -->
-        <polygon points="${gridSize*0.4},-${gridSize*0.15} ${gridSize*0.4},${gridSize*0.15} ${gridSize*0.65},0" fill="none" stroke="#00e6e6" stroke-width="2"></polygon>
-        <line x1="${gridSize*0.65}" y1="${-gridSize*0.15}" x2="${gridSize*0.65}" y2="${gridSize*0.15}" stroke="#00e6e6" stroke-width="2"></line>
-        
-        <!-- Connection from channel to body diode -->
-        <line x1="0" y1="0" x2="${gridSize*0.4}" y2="0"></line>
-        
-        <!-- Arrow indicating N-channel (pointing towards channel) -->
-        <polygon points="${-gridSize*0.5},0 ${-gridSize*0.35},-${gridSize*0.08} ${-gridSize*0.35},${gridSize*0.08}" fill="#00e6e6"></polygon>
-    `,
-    
-    // P-Channel MOSFET (Enhancement mode with body diode)
-    PMOS: `
-        <!-- Drain terminal line -->
-        <line x1="0" y1="${-gridSize*2}" x2="0" y2="${-gridSize}"></line>
-        
-        <!-- Source terminal line -->
-        <line x1="0" y1="${gridSize}" x2="0" y2="${gridSize*2}"></line>
-        
-        <!-- Gate terminal line -->
-        <line x1="${-gridSize*2}" y1="0" x2="${-gridSize*0.9}" y2="0"></line>
-        
-        <!-- Gate electrode (vertical line with gap) -->
-        <line x1="${-gridSize*0.7}" y1="${-gridSize*0.8}" x2="${-gridSize*0.7}" y2="${gridSize*0.8}" stroke-width="2"></line>
-        
-        <!-- Channel region (vertical line) -->
-        <line x1="${-gridSize*0.3}" y1="${-gridSize*0.8}" x2="${-gridSize*0.3}" y2="${gridSize*0.8}" stroke-width="3"></line>
-        
-        <!-- Drain connection to channel -->
-        <line x1="${-gridSize*0.3}" y1="${-gridSize*0.8}" x2="0" y2="${-gridSize*0.8}"></line>
-        <line x1="0" y1="${-gridSize}" x2="0" y2="${-gridSize*0.8}"></line>
-        
-        <!-- Source connection to channel -->
-        <line x1="${-gridSize*0.3}" y1="${gridSize*0.8}" x2="0" y2="${gridSize*0.8}"></line>
-        <line x1="0" y1="${gridSize}" x2="0" y2="${gridSize*0.8}"></line>
-        
-        <!-- Body diode (triangle pointing from drain to source) -->
-        <polygon points="${gridSize*0.65},-${gridSize*0.15} ${gridSize*0.65},${gridSize*0.15} ${gridSize*0.4},0" fill="none" stroke="#00e6e6" stroke-width="2"></polygon>
-        <line x1="${gridSize*0.4}" y1="${-gridSize*0.15}" x2="${gridSize*0.4}" y2="${gridSize*0.15}" stroke="#00e6e6" stroke-width="2"></line>
-        
-        <!-- Connection from channel to body diode -->
-        <line x1="0" y1="0" x2="${gridSize*0.4}" y2="0"></line>
-        
-        <!-- Circle indicating P-channel (bubble on gate) -->
-        <circle cx="${-gridSize*0.8}" cy="0" r="${gridSize*0.1}" fill="none" stroke="#00e6e6" stroke-width="2"></circle>
-    `
-};
-export const getComponentSVG = (type) => componentSVGs[type];
+// 元件圖形、端子與預設屬性皆來自元件庫 (components/*.json)
+export const getComponentSVG = (type, component) => renderComponentSVG(type, component);
+
+// 目前應存在的端子定義：帶 enabledBy 的選用端子只有在元件對應屬性為 true 時才包含
+function activeTerminalDefinitions(component) {
+    const definition = getComponentDefinition(component.type);
+    if (!definition) {
+        throw new Error(`元件庫中沒有 ${component.type} 的定義`);
+    }
+    return definition.terminals.filter(t => !t.enabledBy || component[t.enabledBy]);
+}
+
+// 切換元件的布林選項 (如 MOSFET 的 separateBulk)，並同步增減對應的選用端子
+export function setComponentFlag(component, flag, enabled) {
+    component[flag] = enabled;
+    updateComponentTerminals(component);
+}
 
 // 創建一個新的元件數據物件
 export function createComponentData(type, x, y) {
-    const shortType = { 
-        Resistor: 'R', 
-        Capacitor: 'C', 
-        Inductor: 'L', 
-        DC_Source: 'V',
-        NMOS: 'M',
-        PMOS: 'M'
-    }[type];
-    
-    elementCounter[shortType] = elementCounter[shortType] || 0;
-    elementCounter[shortType]++;
-    const id = `${shortType}${elementCounter[shortType]}`;
-    
-    const defaultValues = { 
-        R: 1000, 
-        C: 1e-6, 
-        L: 1e-3, 
-        V: 12,
-        M: 'IRF540' // 預設MOSFET型號
-    };
+    const definition = getComponentDefinition(type);
+    if (!definition) {
+        throw new Error(`元件庫中沒有 ${type} 的定義`);
+    }
+    const prefix = definition.metadata.designatorPrefix || 'X';
+    elementCounter[prefix] = elementCounter[prefix] || 0;
+    elementCounter[prefix]++;
 
-    let componentData = {
-        id: id, 
-        type: type, 
-        value: defaultValues[shortType],
-        x: x, 
-        y: y, 
-        rotation: 0
+    const componentData = {
+        id: `${prefix}${elementCounter[prefix]}`,
+        type: type,
+        x: x,
+        y: y,
+        rotation: 0,
+        terminals: {}
     };
+    const properties = definition.properties || {};
+    if (properties.defaultValue !== undefined) componentData.value = properties.defaultValue;
+    // 使用 .MODEL 的元件 (如二極體) 預設套用的內建模型
+    if (properties.defaultModel !== undefined) componentData.model = properties.defaultModel;
+    // 容差 (%)：蒙地卡羅分析依此擾動元件值
+    if (properties.tolerance !== undefined) componentData.tolerance = properties.tolerance;
 
-    // 根據元件類型設定不同的端子配置
-    if (type === 'NMOS' || type === 'PMOS') {
-        // MOSFET有三個端子：Gate, Drain, Source (根據SVG定義調整位置)
-        componentData.terminals = {
-            gate: { x: x - gridSize * 2, y: y },
-            drain: { x: x, y: y - gridSize * 2 },
-            source: { x: x, y: y + gridSize * 2 }
-        };
-    } else {
-        // 其他元件使用傳統的兩端子結構
-        componentData.terminals = {
-            t1: { x: x - gridSize * 2, y: y },
-            t2: { x: x + gridSize * 2, y: y }
-        };
-    }
-    
+    updateComponentTerminals(componentData);
     return componentData;
 }
 
-// 根據旋轉角度更新元件的端點位置
-export function updateComponentTerminals(component) {
+// 依現有元件的編號重設 elementCounter，讓之後新增的元件不會與匯入的編號重複
+export function syncElementCounter(components) {
+    Object.keys(elementCounter).forEach(prefix => { elementCounter[prefix] = 0; });
+    components.forEach(component => {
+        const definition = getComponentDefinition(component.type);
+        const prefix = (definition && definition.metadata.designatorPrefix) || 'X';
+        const match = component.id.startsWith(prefix) && /^\d+$/.exec(component.id.slice(prefix.length));
+        if (match) elementCounter[prefix] = Math.max(elementCounter[prefix] || 0, Number(match[0]));
+    });
+}
+
+/**
+ * 將元件本身座標系中的偏移量轉為畫布上的偏移量：先鏡像 (mirrorX 左右翻轉、mirrorY 上下翻轉)，
+ * 再依 rotation 旋轉，與 componentTransform 的 SVG transform 順序一致。
+ * @returns {{x: number, y: number}}
+ */
+export function localToCanvasOffset(component, dx, dy) {
     const angle = component.rotation * (Math.PI / 180); // 轉為弧度
     const cosA = Math.cos(angle);
     const sinA = Math.sin(angle);
+    const mx = component.mirrorX ? -dx : dx;
+    const my = component.mirrorY ? -dy : dy;
+    return { x: mx * cosA - my * sinA, y: mx * sinA + my * cosA };
+}
 
-    if (component.type === 'NMOS' || component.type === 'PMOS') {
-        // MOSFET三端子的原始相對位置 (與SVG定義匹配)
-        const gatePos = { x: -gridSize * 2, y: 0 };
-        const drainPos = { x: 0, y: -gridSize * 2 };
-        const sourcePos = { x: 0, y: gridSize * 2 };
+// 元件圖形的 SVG transform (SVG 由右往左套用：先 scale 鏡像，再 rotate，最後 translate)
+export function componentTransform(component) {
+    const scale = component.mirrorX || component.mirrorY
+        ? ` scale(${component.mirrorX ? -1 : 1}, ${component.mirrorY ? -1 : 1})`
+        : '';
+    return `translate(${component.x}, ${component.y}) rotate(${component.rotation})${scale}`;
+}
 
-        // 應用旋轉變換
-        component.terminals.gate.x = component.x + (gatePos.x * cosA - gatePos.y * sinA);
-        component.terminals.gate.y = component.y + (gatePos.x * sinA + gatePos.y * cosA);
-        
-        component.terminals.drain.x = component.x + (drainPos.x * cosA - drainPos.y * sinA);
-        component.terminals.drain.y = component.y + (drainPos.x * sinA + drainPos.y * cosA);
-        
-        component.terminals.source.x = component.x + (sourcePos.x * cosA - sourcePos.y * sinA);
-        component.terminals.source.y = component.y + (sourcePos.x * sinA + sourcePos.y * cosA);
-    } else {
-        // 其他元件的兩端子處理
-        const x1 = -gridSize * 2; const y1 = 0;
-        const x2 = gridSize * 2;  const y2 = 0;
+// 根據旋轉與鏡像更新元件的端點位置 (端子相對位置取自元件定義的 terminals[].position，單位為 gridSize)
+export function updateComponentTerminals(component) {
+    const active = activeTerminalDefinitions(component);
+    active.forEach(terminal => {
+        const offset = localToCanvasOffset(component, terminal.position.x * gridSize, terminal.position.y * gridSize);
+        // 就地更新端子物件，四捨五入避免三角函數誤差讓端點偏離格點
+        const position = component.terminals[terminal.name] || (component.terminals[terminal.name] = {});
+        position.x = component.x + Math.round(offset.x);
+        position.y = component.y + Math.round(offset.y);
+    });
+    // 移除已停用的選用端子
+    const activeNames = new Set(active.map(t => t.name));
+    Object.keys(component.terminals).forEach(name => {
+        if (!activeNames.has(name)) delete component.terminals[name];
+    });
+}
 
-        component.terminals.t1.x = component.x + (x1 * cosA - y1 * sinA);
-        component.terminals.t1.y = component.y + (x1 * sinA + y1 * cosA);
-        component.terminals.t2.x = component.x + (x2 * cosA - y2 * sinA);
-        component.terminals.t2.y = component.y + (x2 * sinA + y2 * cosA);
-    }
-}
\ No newline at end of file
+// 元件在畫布上的外框 (依元件定義的 geometry.boundingBox 與旋轉角度計算)
+export function getComponentBounds(component) {
+    const definition = getComponentDefinition(component.type);
+    const geometry = (definition && definition.geometry) || {};
+    const box = geometry.boundingBox || { width: 4, height: 2 };
+    const center = geometry.centerPoint || { x: 0, y: 0 };
+
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+        const offset = localToCanvasOffset(component,
+            (center.x + sx * box.width / 2) * gridSize,
+            (center.y + sy * box.height / 2) * gridSize);
+        return { x: component.x + offset.x, y: component.y + offset.y };
+    });
+    const xs = corners.map(p => p.x);
+    const ys = corners.map(p => p.y);
+    const x = Math.round(Math.min(...xs));
+    const y = Math.round(Math.min(...ys));
+    return { x, y, width: Math.round(Math.max(...xs)) - x, height: Math.round(Math.max(...ys)) - y };
+}
@@ -0,0 +1,178 @@
+/**
+ * dcSweep.js - 直流掃描分析 (.DC)
+ *
+ * 逐點改變指定元件的參數 (電源電壓、電阻值、MOSFET 尺寸等) 並求解直流工作點，
+ * 得到各節點電壓與電流的轉移曲線。可再指定第二個掃描變數作為外層迴圈，
+ * 每個外層值產生一組曲線 (例如 MOSFET 的 Id-Vds 特性曲線族)。
+ */
+
+import { solveOperatingPoint } from './mna.js';
+
+// 單次掃描允許的最大工作點數 (內外層相乘)
+const MAX_SWEEP_POINTS = 20000;
+
+// 各元件類型可掃描的參數；未列出的類型使用 value
+const SWEEPABLE_PARAMETERS = {
+    NMOS: ['width', 'length'],
+    PMOS: ['width', 'length'],
+    Ground: [],
+    NetLabel: [],
+    // 二極體與 BJT 的特性由 .MODEL 決定，沒有可掃描的元件值
+    Diode: [],
+    Zener: [],
+    LED: [],
+    NPN: [],
+    PNP: [],
+    // 運算放大器的增益頻寬積不影響直流解
+    OpAmp: ['gain'],
+};
+
+// 掃描參數的顯示單位
+const PARAMETER_UNITS = {
+    DC_Source: 'V',
+    Current_Source: 'A',
+    Resistor: 'Ω',
+    Capacitor: 'F',
+    Inductor: 'H',
+    VCCS: 'S',
+    CCVS: 'Ω',
+};
+
+/**
+ * 取得某元件類型可被掃描的參數名稱。
+ * @param {string} type - 元件類型。
+ * @returns {Array<string>}
+ */
+export function getSweepableParameters(type) {
+    return SWEEPABLE_PARAMETERS[type] || ['value'];
+}
+
+/**
+ * 取得掃描參數的單位 (供圖表座標軸標示)。
+ */
+export function getParameterUnit(type, parameter) {
+    if (parameter === 'width' || parameter === 'length') return 'm';
+    return PARAMETER_UNITS[type] || '';
+}
+
+/**
+ * 產生 start 到 stop (含) 的等間距掃描值；step 的正負號會依方向自動調整。
+ * @param {string} [label='直流掃描'] - 錯誤訊息中的分析名稱 (參數掃描共用此函數)。
+ * @returns {Array<number>}
+ */
+export function sweepValues(start, stop, step, label = '直流掃描') {
+    start = Number(start);
+    stop = Number(stop);
+    step = Math.abs(Number(step));
+    if (!Number.isFinite(start) || !Number.isFinite(stop)) {
+        throw new Error(`${label}的起始值與結束值必須是數字`);
+    }
+    if (start === stop) return [start];
+    if (!(step > 0)) {
+        throw new Error(`${label}的步距必須大於 0`);
+    }
+    const count = Math.floor(Math.abs(stop - start) / step + 1e-9) + 1;
+    if (count > MAX_SWEEP_POINTS) {
+        throw new Error(`${label}點數過多 (超過 ${MAX_SWEEP_POINTS})，請加大步距`);
+    }
+    const direction = stop > start ? 1 : -1;
+    return Array.from({ length: count }, (_, i) => start + direction * step * i);
+}
+
+/**
+ * 在電路模型中找出掃描目標元件並檢查參數是否可掃描。
+ * @param {object} model - 電路模型。
+ * @param {object} sweep - { componentId, parameter }
+ * @param {string} label - 錯誤訊息中的掃描名稱。
+ * @returns {{element: object, parameter: string}}
+ */
+export function findSweepTarget(model, sweep, label) {
+    if (!sweep.componentId) {
+        throw new Error(`請選擇${label}的掃描元件`);
+    }
+    const element = model.elements.find(el => el.id === sweep.componentId);
+    if (!element) {
+        throw new Error(`找不到${label}的掃描元件 ${sweep.componentId}`);
+    }
+    const parameter = sweep.parameter || 'value';
+    if (!getSweepableParameters(element.type).includes(parameter)) {
+        throw new Error(`元件 ${element.id} 沒有可掃描的參數 ${parameter}`);
+    }
+    return { element, parameter };
+}
+
+/**
+ * 執行直流掃描。
+ * @param {object} model - buildCircuitModel 產生的電路模型 (掃描期間會暫時修改元件參數)。
+ * @param {object} settings - { sweep1: {componentId, parameter, start, stop, step},
+ *                              sweep2: {enabled, componentId, parameter, start, stop, step} }
+ * @returns {{sweep1: object, sweep2: object|null, curves: Array<object>}}
+ *   sweep1/sweep2 為 { componentId, parameter, type, values }；
+ *   curves 每個外層值一筆 { value, voltages: {node: []}, currents: {id: []} }，
+ *   currents 同時包含電源/電感的分支電流與非線性元件的端電流 (如 MOSFET 汲極電流、BJT 集極電流)。
+ */
+export function runDCSweep(model, settings) {
+    const inner = findSweepTarget(model, settings.sweep1, '主掃描');
+    const innerValues = sweepValues(settings.sweep1.start, settings.sweep1.stop, settings.sweep1.step);
+    const nested = settings.sweep2 && settings.sweep2.enabled;
+    const outer = nested ? findSweepTarget(model, settings.sweep2, '第二掃描') : null;
+    const outerValues = nested ? sweepValues(settings.sweep2.start, settings.sweep2.stop, settings.sweep2.step) : [null];
+    if (outer && outer.element === inner.element && outer.parameter === inner.parameter) {
+        throw new Error('主掃描與第二掃描不能是同一個參數');
+    }
+    if (innerValues.length * outerValues.length > MAX_SWEEP_POINTS) {
+        throw new Error(`直流掃描點數過多 (超過 ${MAX_SWEEP_POINTS})，請加大步距`);
+    }
+
+    const originalInner = inner.element.params[inner.parameter];
+    const originalOuter = outer ? outer.element.params[outer.parameter] : undefined;
+    const curves = [];
+    try {
+        outerValues.forEach(outerValue => {
+            if (outer) outer.element.params[outer.parameter] = outerValue;
+            const curve = { value: outerValue, voltages: {}, currents: {} };
+            // 以前一點的解作為初始猜測，讓非線性電路沿著曲線連續收斂
+            let previous;
+            innerValues.forEach(innerValue => {
+                inner.element.params[inner.parameter] = innerValue;
+                let op;
+                try {
+                    op = solveOperatingPoint(model, previous);
+                } catch (error) {
+                    const at = `${inner.element.id}=${innerValue}` + (outer ? `, ${outer.element.id}=${outerValue}` : '');
+                    throw new Error(`直流掃描於 ${at} 失敗：${error.message}`);
+                }
+                previous = op.solution;
+                appendPoint(curve, op);
+            });
+            curves.push(curve);
+        });
+    } finally {
+        inner.element.params[inner.parameter] = originalInner;
+        if (outer) outer.element.params[outer.parameter] = originalOuter;
+    }
+
+    const describe = ({ element, parameter }, values) =>
+        ({ componentId: element.id, parameter, type: element.type, values });
+    return {
+        sweep1: describe(inner, innerValues),
+        sweep2: outer ? describe(outer, outerValues) : null,
+        curves,
+    };
+}
+
+function appendPoint(curve, op) {
+    Object.entries(op.voltages).forEach(([name, value]) => {
+        if (name === '0') return;
+        (curve.voltages[name] = curve.voltages[name] || []).push(value);
+    });
+    Object.entries(op.currents).forEach(([id, value]) => {
+        (curve.currents[id] = curve.currents[id] || []).push(value);
+    });
+    Object.entries(op.devices || {}).forEach(([id, info]) => {
+        // BJT 以集極電流作為元件電流
+        const current = typeof info.id === 'number' ? info.id : info.ic;
+        if (typeof current !== 'number') return;
+        (curve.currents[id] = curve.currents[id] || []).push(current);
+    });
+}
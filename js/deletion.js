@@ -0,0 +1,111 @@
+/**
+ * deletion.js - 刪除元件與導線
+ *
+ * 刪除時一併整理導線：
+ *   1. 移除選取的導線，以及完全位於選取元件範圍內的導線；
+ *   2. 其餘導線上連到被刪元件的端點解除 terminal 連接；
+ *   3. 解除連接後不再連到任何保留元件的導線群組整組移除；
+ *   4. 原本有第三條導線或元件相接、現在只剩兩條導線首尾相接的位置合併為一條導線；
+ *   5. 以 simplifyWire 移除共線的多餘頂點 (包括已沒有導線相接的孤立接點)。
+ */
+
+import { circuit } from './state.js';
+import { simplifyWire } from './canvas.js';
+import { findWiresInside } from './clipboard.js';
+import { snapshotWires, removeComponentsCommand, wireEditCommand, compositeCommand } from './history.js';
+
+const pointKey = (p) => `${p.x},${p.y}`;
+
+// 與 start 以共用頂點相連的所有導線
+function connectedWires(start, wires) {
+    const group = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+        const points = new Set(queue.pop().points.map(pointKey));
+        wires.forEach(other => {
+            if (!group.has(other) && other.points.some(p => points.has(pointKey(p)))) {
+                group.add(other);
+                queue.push(other);
+            }
+        });
+    }
+    return group;
+}
+
+function removeOrphanGroups(wires, detached, terminalPoints) {
+    const orphans = new Set();
+    detached.forEach(start => {
+        if (orphans.has(start)) return;
+        const group = connectedWires(start, wires);
+        const anchored = [...group].some(wire => wire.points.some(p => p.terminal || terminalPoints.has(pointKey(p))));
+        if (!anchored) group.forEach(wire => orphans.add(wire));
+    });
+    return wires.filter(wire => !orphans.has(wire));
+}
+
+function mergeWiresAt(wires, positions, terminalPoints) {
+    let result = wires;
+    positions.forEach(position => {
+        if (terminalPoints.has(position)) return;
+        const touching = result.filter(wire => wire.points.some(p => pointKey(p) === position));
+        if (touching.length !== 2) return;
+        const [a, b] = touching;
+        const endOf = (wire) => {
+            if (pointKey(wire.points[0]) === position) return 'start';
+            if (pointKey(wire.points[wire.points.length - 1]) === position) return 'end';
+            return null;
+        };
+        const endA = endOf(a);
+        const endB = endOf(b);
+        if (!endA || !endB) return;
+        // a 以該點結尾、b 以該點開始後串接
+        const first = endA === 'end' ? a.points : [...a.points].reverse();
+        const second = endB === 'start' ? b.points : [...b.points].reverse();
+        a.points = [...first, ...second.slice(1)];
+        result = result.filter(wire => wire !== b);
+    });
+    return result;
+}
+
+/**
+ * 建立刪除命令 (尚未套用)。
+ * @param {string} label - 復原記錄的名稱。
+ * @param {Array<string>} componentIds - 要刪除的元件 ID。
+ * @param {Array<string>} [wireIds=[]] - 要刪除的導線 ID。
+ * @returns {object} - 可交給 history.execute 的命令。
+ */
+export function deleteItemsCommand(label, componentIds, wireIds = []) {
+    const before = snapshotWires();
+    const removedIds = new Set(componentIds);
+    const terminalPoints = new Set(circuit.components
+        .filter(c => !removedIds.has(c.id))
+        .flatMap(c => Object.values(c.terminals).map(pointKey)));
+
+    const dropped = new Set([...findWiresInside(componentIds), ...circuit.wires.filter(w => wireIds.includes(w.id))]);
+    // 刪除後需要重新檢查的位置：被刪導線的頂點與解除連接的端點
+    const affected = new Set();
+    dropped.forEach(wire => wire.points.forEach(p => affected.add(pointKey(p))));
+
+    // 在副本上整理，不影響命令套用前的電路
+    let wires = JSON.parse(JSON.stringify(circuit.wires.filter(wire => !dropped.has(wire))));
+    const detached = new Set();
+    wires.forEach(wire => wire.points.forEach(point => {
+        if (point.terminal && removedIds.has(point.terminal.componentId)) {
+            delete point.terminal;
+            detached.add(wire);
+            affected.add(pointKey(point));
+        }
+    }));
+    wires = removeOrphanGroups(wires, detached, terminalPoints);
+    wires = mergeWiresAt(wires, affected, terminalPoints);
+
+    // simplifyWire 依 circuit.wires 判斷交叉點，因此暫時換上整理後的導線
+    circuit.wires.splice(0, circuit.wires.length, ...wires);
+    circuit.wires.forEach(simplifyWire);
+    const after = snapshotWires();
+    circuit.wires.splice(0, circuit.wires.length, ...JSON.parse(JSON.stringify(before)));
+
+    const commands = [wireEditCommand(label, before, after)];
+    if (componentIds.length > 0) commands.unshift(removeComponentsCommand(componentIds));
+    return compositeCommand(label, commands);
+}
@@ -0,0 +1,891 @@
+/**
+ * devices.js - 元件的 MNA 蓋印 (stamp) 規則
+ *
+ * 每種元件類型對應一個描述物件：
+ *   branches: 需要的分支電流未知數數量 (電壓源、電感)
+ *   nonlinear: 是否需要 Newton-Raphson 迭代
+ *   stamp(system, element, ctx): 將元件貢獻寫入 MNA 系統
+ *   operatingPoint(element, x, nodeCount): (可選) 回報收斂後的元件工作狀態
+ *   initialState / acceptTimestep(element, x, ctx): (可選) 暫態分析的儲能狀態
+ *   stampAC(system, element, ctx): 於工作點線性化後蓋印複數小訊號模型 (ctx.omega 為角頻率)
+ *   breakpoints(element, stopTime): (可選) 暫態分析必須取樣的時間點 (如脈波邊緣)
+ *   currentControlled: (可選) 以另一元件的分支電流為輸入 (F、H 受控電源)
+ * 節點索引 -1 代表接地。
+ */
+
+import { parseSpiceNumber } from './units.js';
+import { evaluateWaveform, validateWaveform, waveformBreakpoints } from './waveforms.js';
+import { getOpampSettings } from './opamp.js';
+
+// 與網表中的 .MODEL 卡一致的內建模型：Level-1 MOSFET、二極體 (一般、稽納、LED) 與 BJT
+export const builtinModels = {
+    NMOS_MODEL: { type: 'NMOS', VTO: 1.0, KP: 120e-6, LAMBDA: 0.01 },
+    PMOS_MODEL: { type: 'PMOS', VTO: -1.0, KP: 40e-6, LAMBDA: 0.01 },
+    DIODE_MODEL: { type: 'D', IS: 1e-14, N: 1, RS: 0.1, BV: 100, CJO: 4e-12, TT: 5e-9 },
+    ZENER_MODEL: { type: 'D', IS: 1e-14, N: 1, RS: 5, BV: 5.1, IBV: 5e-3, CJO: 100e-12, TT: 0 },
+    LED_MODEL: { type: 'D', IS: 1e-18, N: 2, RS: 2, BV: 5, CJO: 20e-12, TT: 0 },
+    NPN_MODEL: { type: 'NPN', IS: 1e-16, BF: 100, BR: 1, VAF: 100, IKF: 0.1, CJE: 1e-12, CJC: 0.5e-12, TF: 0.3e-9 },
+    PNP_MODEL: { type: 'PNP', IS: 1e-16, BF: 50, BR: 1, VAF: 50, IKF: 0.1, CJE: 1e-12, CJC: 0.5e-12, TF: 0.5e-9 },
+};
+
+// .MODEL D 未指定的參數採用 SPICE 的預設值 (BV 預設無崩潰)
+const DIODE_DEFAULTS = { IS: 1e-14, N: 1, RS: 0, BV: Infinity, IBV: 1e-3, CJO: 0, VJ: 1, M: 0.5, FC: 0.5, TT: 0 };
+// .MODEL NPN/PNP 未指定的參數 (VAF、IKF 預設為無限大，即不含 Early 效應與高注入效應)
+const BJT_DEFAULTS = {
+    IS: 1e-16, BF: 100, BR: 1, NF: 1, NR: 1, VAF: Infinity, IKF: Infinity,
+    CJE: 0, VJE: 0.75, MJE: 0.33, CJC: 0, VJC: 0.75, MJC: 0.33, FC: 0.5, TF: 0, TR: 0,
+};
+// 室溫 (300K) 的熱電壓 kT/q
+const THERMAL_VOLTAGE = 0.025852;
+// 暫態分析 UIC 起始點：以此電導將電容電壓固定在初始條件
+const IC_CONDUCTANCE = 1e9;
+
+// 運算放大器箝位的柔和程度 (V) 與相對於開迴路增益的箝位強度
+const CLAMP_SOFTNESS = 0.01;
+const CLAMP_STRENGTH = 100;
+
+// 汲極-源極間的最小電導，避免截止的元件讓節點浮接
+const GMIN = 1e-12;
+// 每次迭代 Vgs 可變動的最大幅度，防止二次方模型過衝
+const VGS_STEP_LIMIT = 2.0;
+
+function nodeVoltage(x, node) {
+    return node < 0 ? 0 : x[node];
+}
+
+// 受控電源的增益 (可為負值或 0)
+function requireFinite(element, value, label) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) {
+        throw new Error(`${element.id} 的${label}必須是數值 (目前為 ${value})`);
+    }
+    return num;
+}
+
+function requirePositive(element, value, label) {
+    const num = Number(value);
+    if (!(num > 0)) {
+        throw new Error(`${element.id} 的${label}必須大於 0 (目前為 ${value})`);
+    }
+    return num;
+}
+
+/**
+ * 獨立電源的輸出值：有設定波形且 ctx.time 有值 (暫態分析及其初始工作點) 時取波形值，否則為直流值。
+ */
+function sourceValue(el, ctx) {
+    const value = el.params.waveform && ctx.time !== undefined
+        ? evaluateWaveform(el.params.waveform, ctx.time)
+        : Number(el.params.value) || 0;
+    return value * ctx.sourceFactor;
+}
+
+// 波形參數在暫態分析開始前檢查一次，錯誤訊息指出元件
+function sourceBreakpoints(el, stopTime) {
+    if (!el.params.waveform) return [];
+    const error = validateWaveform(el.params.waveform);
+    if (error) throw new Error(`${el.id} 的波形設定錯誤：${error}`);
+    return waveformBreakpoints(el.params.waveform, stopTime);
+}
+
+const deviceModels = {
+    Resistor: {
+        stamp(system, el) {
+            const resistance = requirePositive(el, el.params.value, '阻值');
+            system.stampConductance(el.nodes.t1, el.nodes.t2, 1 / resistance);
+        },
+        stampAC(system, el) {
+            system.stampAdmittance(el.nodes.t1, el.nodes.t2, 1 / requirePositive(el, el.params.value, '阻值'), 0);
+        }
+    },
+
+    // 直流分析下電容視為開路；暫態分析使用伴隨模型 (電導並聯電流源)
+    Capacitor: {
+        stamp(system, el, ctx) {
+            if (ctx.mode !== 'tran') {
+                // UIC 的 t = 0 解：電壓固定為 IC (未設定時為 0)，等效於 IC 電壓源串聯極小電阻
+                if (ctx.useInitialConditions) {
+                    const ic = Number(el.params.ic) || 0;
+                    system.stampConductance(el.nodes.t1, el.nodes.t2, IC_CONDUCTANCE);
+                    system.stampCurrentSource(el.nodes.t1, el.nodes.t2, -IC_CONDUCTANCE * ic);
+                }
+                return;
+            }
+            const capacitance = requirePositive(el, el.params.value, '電容值');
+            const { geq, ieq } = capacitorCompanion(capacitance, ctx, ctx.state[el.id]);
+            system.stampConductance(el.nodes.t1, el.nodes.t2, geq);
+            system.stampCurrentSource(el.nodes.t1, el.nodes.t2, ieq);
+        },
+        initialState(el, x, ctx) {
+            const v = ctx.useInitialConditions
+                ? Number(el.params.ic) || 0
+                : nodeVoltage(x, el.nodes.t1) - nodeVoltage(x, el.nodes.t2);
+            return { v, i: 0 };
+        },
+        acceptTimestep(el, x, ctx) {
+            const capacitance = Number(el.params.value);
+            const { geq, ieq } = capacitorCompanion(capacitance, ctx, ctx.state[el.id]);
+            const v = nodeVoltage(x, el.nodes.t1) - nodeVoltage(x, el.nodes.t2);
+            return { v, i: geq * v + ieq };
+        },
+        stampAC(system, el, ctx) {
+            system.stampAdmittance(el.nodes.t1, el.nodes.t2, 0, ctx.omega * requirePositive(el, el.params.value, '電容值'));
+        }
+    },
+
+    // 直流分析下電感視為短路 (0V 電壓源)，分支電流即電感電流；
+    // 暫態分析時分支方程式為 V(t1) - V(t2) - Req·i = Veq
+    Inductor: {
+        branches: 1,
+        stamp(system, el, ctx) {
+            if (ctx.mode !== 'tran') {
+                if (ctx.useInitialConditions) {
+                    // UIC 的 t = 0 解：分支電流固定為 IC
+                    const row = system.branchRow(el.branch);
+                    system.addMatrix(el.nodes.t1, row, 1);
+                    system.addMatrix(el.nodes.t2, row, -1);
+                    system.addMatrix(row, row, 1);
+                    system.addRhs(row, Number(el.params.ic) || 0);
+                } else {
+                    system.stampVoltageSource(el.nodes.t1, el.nodes.t2, el.branch, 0);
+                }
+                return;
+            }
+            const inductance = requirePositive(el, el.params.value, '電感值');
+            const { req, veq } = inductorCompanion(inductance, ctx, ctx.state[el.id]);
+            const row = system.branchRow(el.branch);
+            system.stampVoltageSource(el.nodes.t1, el.nodes.t2, el.branch, veq);
+            system.addMatrix(row, row, -req);
+        },
+        initialState(el, x, ctx) {
+            const i = ctx.useInitialConditions
+                ? Number(el.params.ic) || 0
+                : x[ctx.nodeCount + el.branch];
+            return { v: 0, i };
+        },
+        acceptTimestep(el, x, ctx) {
+            return {
+                v: nodeVoltage(x, el.nodes.t1) - nodeVoltage(x, el.nodes.t2),
+                i: x[ctx.nodeCount + el.branch]
+            };
+        },
+        // V(t1) - V(t2) - jωL·i = 0
+        stampAC(system, el, ctx) {
+            const row = system.branchRow(el.branch);
+            system.stampVoltageSource(el.nodes.t1, el.nodes.t2, el.branch, 0, 0);
+            system.addMatrix(row, row, 0, -ctx.omega * requirePositive(el, el.params.value, '電感值'));
+        }
+    },
+
+    // t2 為正極、t1 為負極 (與網表 `V n2 n1 DC value` 一致)
+    DC_Source: {
+        branches: 1,
+        stamp(system, el, ctx) {
+            system.stampVoltageSource(el.nodes.t2, el.nodes.t1, el.branch, sourceValue(el, ctx));
+        },
+        breakpoints: sourceBreakpoints,
+        // 交流分析時只保留 AC 振幅/相位，直流成分已反映在工作點中
+        stampAC(system, el) {
+            const magnitude = Number(el.params.acMagnitude) || 0;
+            const phase = (Number(el.params.acPhase) || 0) * Math.PI / 180;
+            system.stampVoltageSource(el.nodes.t2, el.nodes.t1, el.branch,
+                magnitude * Math.cos(phase), magnitude * Math.sin(phase));
+        }
+    },
+
+    // 電流由 t1 經電源內部流向 t2 (與網表 `I n1 n2 DC value` 及符號箭頭一致)
+    Current_Source: {
+        stamp(system, el, ctx) {
+            system.stampCurrentSource(el.nodes.t1, el.nodes.t2, sourceValue(el, ctx));
+        },
+        stampAC(system, el) {
+            const magnitude = Number(el.params.acMagnitude) || 0;
+            const phase = (Number(el.params.acPhase) || 0) * Math.PI / 180;
+            system.stampCurrentSource(el.nodes.t1, el.nodes.t2, magnitude * Math.cos(phase), magnitude * Math.sin(phase));
+        },
+        breakpoints: sourceBreakpoints,
+    },
+
+    // 受控電源：p、n 為輸出端，cp、cn 為控制電壓的量測端；
+    // F、H 以 control 指定的電壓源 (或電感) 分支電流為輸入，分支索引由 buildCircuitModel 填入 controlBranch。
+    // 實數與複數系統的蓋印方式相同，因此交流分析直接沿用 stamp。
+    VCVS: {
+        branches: 1,
+        stamp(system, el) {
+            const gain = requireFinite(el, el.params.value, '電壓增益');
+            const row = system.branchRow(el.branch);
+            system.stampVoltageSource(el.nodes.p, el.nodes.n, el.branch, 0);
+            system.addMatrix(row, el.nodes.cp, -gain);
+            system.addMatrix(row, el.nodes.cn, gain);
+        },
+        stampAC(system, el) { this.stamp(system, el); },
+    },
+    VCCS: {
+        stamp(system, el) {
+            const gm = requireFinite(el, el.params.value, '轉導');
+            system.stampTransconductance(el.nodes.p, el.nodes.n, el.nodes.cp, el.nodes.cn, gm);
+        },
+        stampAC(system, el) { this.stamp(system, el); },
+    },
+    CCCS: {
+        currentControlled: true,
+        stamp(system, el) {
+            const gain = requireFinite(el, el.params.value, '電流增益');
+            const controlRow = system.branchRow(el.controlBranch);
+            system.addMatrix(el.nodes.p, controlRow, gain);
+            system.addMatrix(el.nodes.n, controlRow, -gain);
+        },
+        stampAC(system, el) { this.stamp(system, el); },
+    },
+    CCVS: {
+        branches: 1,
+        currentControlled: true,
+        stamp(system, el) {
+            const transresistance = requireFinite(el, el.params.value, '轉阻');
+            system.stampVoltageSource(el.nodes.p, el.nodes.n, el.branch, 0);
+            system.addMatrix(system.branchRow(el.branch), system.branchRow(el.controlBranch), -transresistance);
+        },
+        stampAC(system, el) { this.stamp(system, el); },
+    },
+
+    // 接地符號：其端點所在的網路即為節點 0，本身不貢獻任何方程式
+    Ground: {
+        stamp() {},
+        stampAC() {},
+    },
+    // 網路標籤只影響節點連接，同樣不貢獻方程式
+    NetLabel: {
+        stamp() {},
+        stampAC() {},
+    },
+    NMOS: createMosfetModel(1),
+    PMOS: createMosfetModel(-1),
+    Diode: createDiodeModel('DIODE_MODEL'),
+    Zener: createDiodeModel('ZENER_MODEL'),
+    LED: createDiodeModel('LED_MODEL'),
+    NPN: createBjtModel(1),
+    PNP: createBjtModel(-1),
+    OpAmp: createOpampModel(),
+};
+
+const REGION_NAMES = {
+    cutoff: '截止區', linear: '線性區', saturation: '飽和區',
+    forward: '順向導通', reverse: '逆向偏壓', breakdown: '逆向崩潰',
+    active: '主動區', reverseActive: '反向主動區',
+    positiveSaturation: '正飽和', negativeSaturation: '負飽和',
+};
+
+/**
+ * Level-1 (Shichman-Hodges) 汲極電流，僅處理 vds >= 0 的正規化情況。
+ * @returns {{id: number, gm: number, gds: number, region: string}}
+ */
+function level1Current(vgs, vds, vt, beta, lambda) {
+    const vov = vgs - vt;
+    if (vov <= 0) {
+        return { id: 0, gm: 0, gds: 0, region: 'cutoff' };
+    }
+    const clm = 1 + lambda * vds;
+    if (vds < vov) {
+        const core = vov * vds - vds * vds / 2;
+        return {
+            id: beta * core * clm,
+            gm: beta * vds * clm,
+            gds: beta * (vov - vds) * clm + beta * core * lambda,
+            region: 'linear'
+        };
+    }
+    const core = vov * vov / 2;
+    return {
+        id: beta * core * clm,
+        gm: beta * vov * clm,
+        gds: beta * core * lambda,
+        region: 'saturation'
+    };
+}
+
+/**
+ * 依實際端點電壓計算流入汲極的電流及其對 Vgs、Vds 的偏導數。
+ * PMOS 以極性 -1 轉換成 NMOS 的形式計算；vds 為負時交換汲極與源極。
+ */
+function evaluateMosfet(el, polarity, vgs, vds) {
+    const fallback = builtinModels[polarity > 0 ? 'NMOS_MODEL' : 'PMOS_MODEL'];
+    // 自訂 .MODEL 卡未指定的參數沿用內建模型的值
+    const model = el.modelCard ? { ...fallback, ...el.modelCard.params } : (builtinModels[el.params.model] || fallback);
+    const width = parseSpiceNumber(el.params.width || '10u');
+    const length = parseSpiceNumber(el.params.length || '1u');
+    if (!(width > 0) || !(length > 0)) {
+        throw new Error(`${el.id} 的通道寬度/長度無效 (W=${el.params.width}, L=${el.params.length})`);
+    }
+    const beta = model.KP * width / length;
+    const vt = polarity * model.VTO;
+    const nVgs = polarity * vgs;
+    const nVds = polarity * vds;
+
+    let id, dIdVgs, dIdVds, region;
+    if (nVds >= 0) {
+        const r = level1Current(nVgs, nVds, vt, beta, model.LAMBDA);
+        id = r.id; dIdVgs = r.gm; dIdVds = r.gds; region = r.region;
+    } else {
+        // 反向操作：源極與汲極角色互換，Vgd 成為控制電壓
+        const r = level1Current(nVgs - nVds, -nVds, vt, beta, model.LAMBDA);
+        id = -r.id; dIdVgs = -r.gm; dIdVds = r.gm + r.gds; region = r.region;
+    }
+    // 轉回實際極性：電流變號，偏導數因兩次變號而不變
+    return { id: polarity * id, gm: dIdVgs, gds: dIdVds, region };
+}
+
+/**
+ * 電容伴隨模型：i = geq·v + ieq (由 t1 流向 t2)。
+ * 後向歐拉 geq = C/h；梯形法 geq = 2C/h 並計入上一點的電流。
+ */
+function capacitorCompanion(capacitance, ctx, previous) {
+    if (ctx.method === 'trap') {
+        const geq = 2 * capacitance / ctx.dt;
+        return { geq, ieq: -geq * previous.v - previous.i };
+    }
+    const geq = capacitance / ctx.dt;
+    return { geq, ieq: -geq * previous.v };
+}
+
+/**
+ * 電感伴隨模型：v = req·i + veq。
+ * 後向歐拉 req = L/h；梯形法 req = 2L/h 並計入上一點的電壓。
+ */
+function inductorCompanion(inductance, ctx, previous) {
+    if (ctx.method === 'trap') {
+        const req = 2 * inductance / ctx.dt;
+        return { req, veq: -req * previous.i - previous.v };
+    }
+    const req = inductance / ctx.dt;
+    return { req, veq: -req * previous.i };
+}
+
+// 內建 Level-1 模型未含基體效應，選用的獨立基體端點 (bulk) 只影響網表輸出
+function createMosfetModel(polarity) {
+    return {
+        nonlinear: true,
+        stamp(system, el, ctx) {
+            const x = ctx.solution;
+            const { gate, drain, source } = el.nodes;
+            const vs = nodeVoltage(x, source);
+            let vgs = nodeVoltage(x, gate) - vs;
+            const vds = nodeVoltage(x, drain) - vs;
+
+            const previous = ctx.deviceState[el.id];
+            if (previous && Math.abs(vgs - previous.vgs) > VGS_STEP_LIMIT) {
+                vgs = previous.vgs + Math.sign(vgs - previous.vgs) * VGS_STEP_LIMIT;
+                ctx.limited = true;
+            }
+            ctx.deviceState[el.id] = { vgs, vds };
+
+            const { id, gm, gds } = evaluateMosfet(el, polarity, vgs, vds);
+            // 線性化：i_d ≈ gm·vgs + gds·vds + Ieq (由汲極流向源極)
+            const ieq = id - gm * vgs - gds * vds;
+            system.stampTransconductance(drain, source, gate, source, gm);
+            system.stampConductance(drain, source, gds + GMIN);
+            system.stampCurrentSource(drain, source, ieq);
+        },
+        // Level-1 模型沒有電容參數，小訊號模型只有 gm 與 gds
+        stampAC(system, el, ctx) {
+            const { gate, drain, source } = el.nodes;
+            const x = ctx.solution;
+            const vs = nodeVoltage(x, source);
+            const { gm, gds } = evaluateMosfet(el, polarity,
+                nodeVoltage(x, gate) - vs, nodeVoltage(x, drain) - vs);
+            system.stampTransconductance(drain, source, gate, source, gm);
+            system.stampConductance(drain, source, gds + GMIN);
+        },
+        operatingPoint(el, x) {
+            const { gate, drain, source } = el.nodes;
+            const vs = nodeVoltage(x, source);
+            const vgs = nodeVoltage(x, gate) - vs;
+            const vds = nodeVoltage(x, drain) - vs;
+            const { id, gm, gds, region } = evaluateMosfet(el, polarity, vgs, vds);
+            return { region, regionName: REGION_NAMES[region], id, vgs, vds, gm, gds };
+        }
+    };
+}
+
+/**
+ * 合併二極體的模型參數：SPICE 預設值 < 內建模型 < 電路中的 .MODEL 卡。
+ */
+function diodeParameters(el, defaultModel) {
+    const { type, ...builtin } = builtinModels[el.params.model] || builtinModels[defaultModel];
+    const params = { ...DIODE_DEFAULTS, ...builtin, ...(el.modelCard ? el.modelCard.params : {}) };
+    if (!(params.IS > 0) || !(params.N > 0)) {
+        throw new Error(`${el.id} 的二極體模型參數無效 (IS 與 N 必須大於 0)`);
+    }
+    // BV 為 0 或負值時視為沒有崩潰區
+    if (!(params.BV > 0)) params.BV = Infinity;
+    return params;
+}
+
+/**
+ * 接面 (不含串聯電阻) 的電流與電導：指數順向特性，加上 v < -BV 時的崩潰電流。
+ * 崩潰項在 v = -BV 時為 0，使電流連續。
+ */
+function junctionCurrent(p, v) {
+    const nvt = p.N * THERMAL_VOLTAGE;
+    const forward = Math.exp(v / nvt);
+    let id = p.IS * (forward - 1) + GMIN * v;
+    let gd = p.IS * forward / nvt + GMIN;
+    if (v < -p.BV) {
+        const reverse = Math.exp(-(p.BV + v) / nvt);
+        id -= p.IBV * (reverse - 1);
+        gd += p.IBV * reverse / nvt;
+    }
+    return { id, gd };
+}
+
+/**
+ * 接面電荷 (空乏電容 + 擴散電容 TT·Id) 與其對電壓的導數。
+ * v 超過 FC·VJ 後空乏電容改以線性外插，避免 (1 - v/VJ) 趨近 0 時發散。
+ */
+function junctionCharge(p, v, id, gd) {
+    let q = p.TT * id;
+    let c = p.TT * gd;
+    if (p.CJO > 0) {
+        const vLimit = p.FC * p.VJ;
+        const grading = 1 - p.M;
+        const depletionCharge = (u) => (Math.abs(grading) < 1e-9
+            ? -p.CJO * p.VJ * Math.log(1 - u / p.VJ)
+            : p.CJO * p.VJ / grading * (1 - Math.pow(1 - u / p.VJ, grading)));
+        if (v < vLimit) {
+            q += depletionCharge(v);
+            c += p.CJO / Math.pow(1 - v / p.VJ, p.M);
+        } else {
+            const f1 = 1 - p.FC * (1 + p.M);
+            const f2 = Math.pow(1 - p.FC, 1 + p.M);
+            q += depletionCharge(vLimit) + p.CJO / f2 * (f1 * (v - vLimit) + p.M / (2 * p.VJ) * (v * v - vLimit * vLimit));
+            c += p.CJO / f2 * (f1 + p.M * v / p.VJ);
+        }
+    }
+    return { q, c };
+}
+
+/**
+ * SPICE 的 pnjlim：接面電壓每次迭代的變化量以對數壓縮，防止 exp() 溢位與 Newton 迭代震盪。
+ * @returns {number} - 限制後的電壓。
+ */
+function limitJunctionVoltage(vNew, vOld, nvt, vCrit) {
+    if (vNew > vCrit && Math.abs(vNew - vOld) > 2 * nvt) {
+        if (vOld > 0) {
+            const arg = 1 + (vNew - vOld) / nvt;
+            return arg > 0 ? vOld + nvt * Math.log(arg) : vCrit;
+        }
+        return nvt * Math.log(vNew / nvt);
+    }
+    return vNew;
+}
+
+/**
+ * 二極體的總電流 (接面電流 + 暫態時的電容電流) 與其對接面電壓的導數。
+ * ctx.mode 為 'tran' 時依積分法計算電荷的伴隨電流。
+ */
+function diodeJunction(p, v, ctx, previous) {
+    const { id, gd } = junctionCurrent(p, v);
+    if (!ctx || ctx.mode !== 'tran' || !previous) return { id, gd, i: id, g: gd };
+    const { q, c } = junctionCharge(p, v, id, gd);
+    const scale = ctx.method === 'trap' ? 2 / ctx.dt : 1 / ctx.dt;
+    const ic = scale * (q - previous.q) - (ctx.method === 'trap' ? previous.ic : 0);
+    return { id, gd, i: id + ic, g: gd + scale * c, q, ic };
+}
+
+/**
+ * 由端點電壓 V 求接面電壓：有串聯電阻 RS 時解 v + RS·i(v) = V。
+ * i(v) 單調遞增，以 Newton 法搭配二分法保證收斂。
+ */
+function solveJunctionVoltage(p, V, ctx, previous) {
+    if (!(p.RS > 0)) return V;
+    let low = Math.min(V, 0) - 1;
+    let high = Math.max(V, 0) + 1;
+    // 下限須足夠低，讓崩潰區的大電流也能被包含
+    while (low + p.RS * diodeJunction(p, low, ctx, previous).i > V) low = 2 * low - 1;
+    let v = Math.min(Math.max(0, low), high);
+    for (let iteration = 0; iteration < 100; iteration++) {
+        const { i, g } = diodeJunction(p, v, ctx, previous);
+        const f = v + p.RS * i - V;
+        if (Math.abs(f) < 1e-12 * Math.max(1, Math.abs(V))) break;
+        if (f > 0) high = v; else low = v;
+        let next = v - f / (1 + p.RS * g);
+        if (!(next > low && next < high)) next = (low + high) / 2;
+        if (Math.abs(next - v) < 1e-15) break;
+        v = next;
+    }
+    return v;
+}
+
+/**
+ * 二極體模型 (Diode、Zener、LED 共用，差別只在預設的 .MODEL)。
+ * 串聯電阻不另外建立內部節點，而是將 RS 與接面合併成單一非線性元件：
+ * 由端點電壓解出接面電壓，等效電導為 gd / (1 + RS·gd)。
+ * 電流由陽極 (anode) 經元件流向陰極 (cathode)。
+ */
+function createDiodeModel(defaultModel) {
+    // 在接面電壓 v 線性化，回傳端點上的電流與等效電導
+    const linearize = (p, v, ctx, previous) => {
+        const junction = diodeJunction(p, v, ctx, previous);
+        const g = junction.g / (1 + p.RS * junction.g);
+        return { ...junction, g, terminalVoltage: v + p.RS * junction.i };
+    };
+    const terminalVoltage = (el, x) => nodeVoltage(x, el.nodes.anode) - nodeVoltage(x, el.nodes.cathode);
+    const regionOf = (p, v) => {
+        if (v < -p.BV) return 'breakdown';
+        return v > 0 && p.IS * Math.exp(v / (p.N * THERMAL_VOLTAGE)) > 1e-9 ? 'forward' : 'reverse';
+    };
+
+    return {
+        nonlinear: true,
+        stamp(system, el, ctx) {
+            const p = diodeParameters(el, defaultModel);
+            const nvt = p.N * THERMAL_VOLTAGE;
+            const vCrit = nvt * Math.log(nvt / (Math.SQRT2 * p.IS));
+            const previous = ctx.mode === 'tran' ? ctx.state[el.id] : undefined;
+            let v = solveJunctionVoltage(p, terminalVoltage(el, ctx.solution), ctx, previous);
+
+            const last = ctx.deviceState[el.id];
+            const vOld = last ? last.vd : 0;
+            let limited = limitJunctionVoltage(v, vOld, nvt, vCrit);
+            // 崩潰區以鏡像的方式限制 -(v + BV)
+            if (Number.isFinite(p.BV) && v < -p.BV) {
+                limited = -p.BV - limitJunctionVoltage(-(v + p.BV), -(vOld + p.BV), nvt, vCrit);
+            }
+            if (limited !== v) {
+                v = limited;
+                ctx.limited = true;
+            }
+            ctx.deviceState[el.id] = { vd: v };
+
+            // i ≈ I(V0) + g·(V - V0)，V0 為接面電壓 v 對應的端點電壓
+            const { i, g, terminalVoltage: v0 } = linearize(p, v, ctx, previous);
+            system.stampConductance(el.nodes.anode, el.nodes.cathode, g);
+            system.stampCurrentSource(el.nodes.anode, el.nodes.cathode, i - g * v0);
+        },
+        initialState(el, x) {
+            const p = diodeParameters(el, defaultModel);
+            const v = solveJunctionVoltage(p, terminalVoltage(el, x));
+            const { id, gd } = junctionCurrent(p, v);
+            return { q: junctionCharge(p, v, id, gd).q, ic: 0 };
+        },
+        acceptTimestep(el, x, ctx) {
+            const p = diodeParameters(el, defaultModel);
+            const previous = ctx.state[el.id];
+            const v = solveJunctionVoltage(p, terminalVoltage(el, x), ctx, previous);
+            const { q, ic } = diodeJunction(p, v, ctx, previous);
+            return { q, ic };
+        },
+        // 小訊號：接面導納 gd + jωC 與 RS 串聯
+        stampAC(system, el, ctx) {
+            const p = diodeParameters(el, defaultModel);
+            const v = solveJunctionVoltage(p, terminalVoltage(el, ctx.solution));
+            const { id, gd } = junctionCurrent(p, v);
+            const b = ctx.omega * junctionCharge(p, v, id, gd).c;
+            const re = 1 + p.RS * gd;
+            const im = p.RS * b;
+            const denominator = re * re + im * im;
+            system.stampAdmittance(el.nodes.anode, el.nodes.cathode,
+                (gd * re + b * im) / denominator, (b * re - gd * im) / denominator);
+        },
+        operatingPoint(el, x) {
+            const p = diodeParameters(el, defaultModel);
+            const v = solveJunctionVoltage(p, terminalVoltage(el, x));
+            const { id, gd } = junctionCurrent(p, v);
+            const region = regionOf(p, v);
+            return { region, regionName: REGION_NAMES[region], id, vd: terminalVoltage(el, x), gd };
+        }
+    };
+}
+
+/**
+ * 合併 BJT 的模型參數：SPICE 預設值 < 內建模型 < 電路中的 .MODEL 卡。
+ * 兩個接面整理成 junctionCharge 使用的參數格式。
+ */
+function bjtParameters(el, polarity) {
+    const fallback = polarity > 0 ? 'NPN_MODEL' : 'PNP_MODEL';
+    const { type, ...builtin } = builtinModels[el.params.model] || builtinModels[fallback];
+    const p = { ...BJT_DEFAULTS, ...builtin, ...(el.modelCard ? el.modelCard.params : {}) };
+    if (!(p.IS > 0) || !(p.BF > 0) || !(p.BR > 0) || !(p.NF > 0) || !(p.NR > 0)) {
+        throw new Error(`${el.id} 的 BJT 模型參數無效 (IS、BF、BR、NF、NR 必須大於 0)`);
+    }
+    // 與 SPICE 相同，VAF 與 IKF 為 0 時視為無限大
+    if (!(p.VAF > 0)) p.VAF = Infinity;
+    if (!(p.IKF > 0)) p.IKF = Infinity;
+    p.be = { CJO: p.CJE, VJ: p.VJE, M: p.MJE, FC: p.FC, TT: p.TF };
+    p.bc = { CJO: p.CJC, VJ: p.VJC, M: p.MJC, FC: p.FC, TT: p.TR };
+    return p;
+}
+
+/**
+ * 簡化的 Gummel-Poon 模型 (以 NPN 的極性計算)：
+ * 傳輸電流 Ict = (If - Ir) / qb，基極電荷 qb 含 Early 效應 (VAF) 與高注入效應 (IKF)；
+ * 省略 ISE/ISC 復合電流與 RB/RC/RE 寄生電阻，IKF、VAF 無限大時即為 Ebers-Moll 模型。
+ * 端點電流拆成三個分支：ibe (基極→射極)、ibc (基極→集極)、ict (集極→射極)，
+ * 因此 Ib = ibe + ibc、Ic = ict - ibc。
+ * 暫態分析 (ctx.mode 為 'tran') 時兩個接面另加電荷的伴隨電流。
+ */
+function evaluateBjt(p, vbe, vbc, ctx, previous) {
+    const nf = p.NF * THERMAL_VOLTAGE;
+    const nr = p.NR * THERMAL_VOLTAGE;
+    const expBe = Math.exp(vbe / nf);
+    const expBc = Math.exp(vbc / nr);
+    const forward = p.IS * (expBe - 1);
+    const reverse = p.IS * (expBc - 1);
+    const gForward = p.IS * expBe / nf;
+    const gReverse = p.IS * expBc / nr;
+
+    // qb = q1 (1 + sqrt(1 + 4 q2)) / 2；Vbc 接近 VAF 時限制 q1，避免分母趨近 0
+    const earlyFactor = Math.max(1 - vbc / p.VAF, 0.01);
+    const q1 = 1 / earlyFactor;
+    const dq1 = earlyFactor > 0.01 ? q1 * q1 / p.VAF : 0;
+    const root = Math.sqrt(1 + 4 * forward / p.IKF);
+    const qb = q1 * (1 + root) / 2;
+    const dqbBe = q1 / root * gForward / p.IKF;
+    const dqbBc = dq1 * (1 + root) / 2;
+
+    const ict = (forward - reverse) / qb;
+    const result = {
+        ibe: forward / p.BF + GMIN * vbe,
+        gbe: gForward / p.BF + GMIN,
+        ibc: reverse / p.BR + GMIN * vbc,
+        gbc: gReverse / p.BR + GMIN,
+        ict,
+        gmForward: gForward / qb - ict / qb * dqbBe,
+        gmReverse: -gReverse / qb - ict / qb * dqbBc,
+        forward,
+        reverse,
+        gForward,
+        gReverse,
+    };
+    if (ctx && ctx.mode === 'tran' && previous) {
+        const scale = ctx.method === 'trap' ? 2 / ctx.dt : 1 / ctx.dt;
+        const charge = (junction, v, id, gd, q0, ic0) => {
+            const { q, c } = junctionCharge(junction, v, id, gd);
+            return { q, ic: scale * (q - q0) - (ctx.method === 'trap' ? ic0 : 0), g: scale * c };
+        };
+        const be = charge(p.be, vbe, forward, gForward, previous.qbe, previous.icbe);
+        const bc = charge(p.bc, vbc, reverse, gReverse, previous.qbc, previous.icbc);
+        result.ibe += be.ic;
+        result.gbe += be.g;
+        result.ibc += bc.ic;
+        result.gbc += bc.g;
+        Object.assign(result, { qbe: be.q, icbe: be.ic, qbc: bc.q, icbc: bc.ic });
+    }
+    return result;
+}
+
+// 接面電荷 (暫態分析的初始狀態)
+function bjtCharges(p, vbe, vbc) {
+    const r = evaluateBjt(p, vbe, vbc);
+    return {
+        qbe: junctionCharge(p.be, vbe, r.forward, r.gForward),
+        qbc: junctionCharge(p.bc, vbc, r.reverse, r.gReverse),
+    };
+}
+
+/**
+ * NPN (polarity 1) 與 PNP (polarity -1) 雙極電晶體。
+ * PNP 以極性轉換成 NPN 的形式計算：接面電壓與分支電流變號，偏導數不變。
+ */
+function createBjtModel(polarity) {
+    const junctionVoltages = (el, x) => {
+        const vb = nodeVoltage(x, el.nodes.base);
+        return {
+            vbe: polarity * (vb - nodeVoltage(x, el.nodes.emitter)),
+            vbc: polarity * (vb - nodeVoltage(x, el.nodes.collector)),
+        };
+    };
+    const isOn = (p, v, n) => v > 0 && p.IS * Math.exp(v / (n * THERMAL_VOLTAGE)) > 1e-9;
+    const regionOf = (p, vbe, vbc) => {
+        const be = isOn(p, vbe, p.NF);
+        const bc = isOn(p, vbc, p.NR);
+        if (be) return bc ? 'saturation' : 'active';
+        return bc ? 'reverseActive' : 'cutoff';
+    };
+    // 線性化的部分：gπ、gμ 與兩個轉導 (直流與 AC 共用)
+    const stampSmallSignal = (system, el, r) => {
+        const { base, collector, emitter } = el.nodes;
+        system.stampConductance(base, emitter, r.gbe);
+        system.stampConductance(base, collector, r.gbc);
+        system.stampTransconductance(collector, emitter, base, emitter, r.gmForward);
+        system.stampTransconductance(collector, emitter, base, collector, r.gmReverse);
+    };
+
+    return {
+        nonlinear: true,
+        stamp(system, el, ctx) {
+            const p = bjtParameters(el, polarity);
+            const previous = ctx.mode === 'tran' ? ctx.state[el.id] : undefined;
+            let { vbe, vbc } = junctionVoltages(el, ctx.solution);
+
+            // 兩個接面分別以 pnjlim 限制
+            const last = ctx.deviceState[el.id] || { vbe: 0, vbc: 0 };
+            const limit = (v, vOld, n) => {
+                const nvt = n * THERMAL_VOLTAGE;
+                return limitJunctionVoltage(v, vOld, nvt, nvt * Math.log(nvt / (Math.SQRT2 * p.IS)));
+            };
+            const limitedBe = limit(vbe, last.vbe, p.NF);
+            const limitedBc = limit(vbc, last.vbc, p.NR);
+            if (limitedBe !== vbe || limitedBc !== vbc) {
+                vbe = limitedBe;
+                vbc = limitedBc;
+                ctx.limited = true;
+            }
+            ctx.deviceState[el.id] = { vbe, vbc };
+
+            const r = evaluateBjt(p, vbe, vbc, ctx, previous);
+            const { base, collector, emitter } = el.nodes;
+            // 分支電流 i ≈ I0 + g·(V - V0)，V0 為 (限制後的) 實際極性電壓
+            const Vbe = polarity * vbe;
+            const Vbc = polarity * vbc;
+            stampSmallSignal(system, el, r);
+            system.stampCurrentSource(base, emitter, polarity * r.ibe - r.gbe * Vbe);
+            system.stampCurrentSource(base, collector, polarity * r.ibc - r.gbc * Vbc);
+            system.stampCurrentSource(collector, emitter, polarity * r.ict - r.gmForward * Vbe - r.gmReverse * Vbc);
+        },
+        initialState(el, x) {
+            const p = bjtParameters(el, polarity);
+            const { vbe, vbc } = junctionVoltages(el, x);
+            const { qbe, qbc } = bjtCharges(p, vbe, vbc);
+            return { qbe: qbe.q, icbe: 0, qbc: qbc.q, icbc: 0 };
+        },
+        acceptTimestep(el, x, ctx) {
+            const p = bjtParameters(el, polarity);
+            const { vbe, vbc } = junctionVoltages(el, x);
+            const { qbe, icbe, qbc, icbc } = evaluateBjt(p, vbe, vbc, ctx, ctx.state[el.id]);
+            return { qbe, icbe, qbc, icbc };
+        },
+        stampAC(system, el, ctx) {
+            const p = bjtParameters(el, polarity);
+            const { vbe, vbc } = junctionVoltages(el, ctx.solution);
+            const { qbe, qbc } = bjtCharges(p, vbe, vbc);
+            stampSmallSignal(system, el, evaluateBjt(p, vbe, vbc));
+            system.stampAdmittance(el.nodes.base, el.nodes.emitter, 0, ctx.omega * qbe.c);
+            system.stampAdmittance(el.nodes.base, el.nodes.collector, 0, ctx.omega * qbc.c);
+        },
+        // 電流以實際方向回報：NPN 的 Ic、Ib 流入元件，PNP 為流出 (數值為負)
+        operatingPoint(el, x) {
+            const p = bjtParameters(el, polarity);
+            const { vbe, vbc } = junctionVoltages(el, x);
+            const r = evaluateBjt(p, vbe, vbc);
+            const ib = polarity * (r.ibe + r.ibc);
+            const ic = polarity * (r.ict - r.ibc);
+            const region = regionOf(p, vbe, vbc);
+            return {
+                region, regionName: REGION_NAMES[region],
+                ic, ib, vbe: polarity * vbe, vce: polarity * (vbe - vbc),
+                beta: ib !== 0 ? ic / ib : 0, gm: r.gmForward,
+            };
+        }
+    };
+}
+
+// 數值穩定的 softplus：δ·ln(1 + e^(u/δ))，以及其導數 (logistic 函數)
+function softplus(u, delta) {
+    const z = u / delta;
+    return z > 0 ? u + delta * Math.log1p(Math.exp(-z)) : delta * Math.log1p(Math.exp(z));
+}
+
+function logistic(u, delta) {
+    const z = u / delta;
+    return z > 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z));
+}
+
+/**
+ * 運算放大器：兩個分支未知數，第一個為輸出電流，第二個為內部增益節點電壓 y。
+ *   輸出：V(out) = y (以接地為參考的理想電壓源，負載電流不經過電源端子)
+ *   增益節點：y + τ·dy/dt + L(y) = A·(V+ − V−)，τ = A / (2π·GBW)，理想模型 τ = 0
+ * 電源箝位模型的 L(y) 在 y 接近 VDD/VSS 時急遽增大，如同巨集模型中增益節點上的箝位二極體，
+ * 使輸出停在電源範圍內，輸入反轉時也能立即離開飽和 (不會因積分而卡住)。
+ */
+function createOpampModel() {
+    const settings = (el) => {
+        const s = getOpampSettings(el.params);
+        const gain = requirePositive(el, s.gain, '開迴路增益');
+        const tau = s.usesGbw ? gain / (2 * Math.PI * requirePositive(el, s.gbw, '增益頻寬積')) : 0;
+        return { gain, tau, clamped: s.model === 'OPAMP_RAIL' };
+    };
+    // 箝位項 L 及其對 y、VDD、VSS 的偏導數
+    const clamp = (el, s, y, x) => {
+        if (!s.clamped) return { value: 0, dy: 0, dVdd: 0, dVss: 0 };
+        const strength = CLAMP_STRENGTH * s.gain;
+        const vdd = nodeVoltage(x, el.nodes.vdd);
+        const vss = nodeVoltage(x, el.nodes.vss);
+        const high = logistic(y - vdd, CLAMP_SOFTNESS);
+        const low = logistic(vss - y, CLAMP_SOFTNESS);
+        return {
+            value: strength * (softplus(y - vdd, CLAMP_SOFTNESS) - softplus(vss - y, CLAMP_SOFTNESS)),
+            dy: strength * (high + low),
+            dVdd: -strength * high,
+            dVss: -strength * low,
+        };
+    };
+    const differential = (el, x) => nodeVoltage(x, el.nodes.vp) - nodeVoltage(x, el.nodes.vn);
+    const gainNode = (el, x, nodeCount) => x[nodeCount + el.branch + 1];
+
+    // 輸出列 V(out) - y = 0 與增益節點列中與頻率無關的部分
+    const stampCommon = (system, el, s, c) => {
+        const row = system.branchRow(el.branch + 1);
+        system.stampVoltageSource(el.nodes.out, -1, el.branch, 0);
+        system.addMatrix(system.branchRow(el.branch), row, -1);
+        system.addMatrix(row, row, 1 + c.dy);
+        system.addMatrix(row, el.nodes.vp, -s.gain);
+        system.addMatrix(row, el.nodes.vn, s.gain);
+        system.addMatrix(row, el.nodes.vdd, c.dVdd);
+        system.addMatrix(row, el.nodes.vss, c.dVss);
+        return row;
+    };
+
+    return {
+        branches: 2,
+        // 只有電源箝位模型是非線性的，其餘模型的迭代在第二次即收斂
+        nonlinear: true,
+        stamp(system, el, ctx) {
+            const s = settings(el);
+            const x = ctx.solution;
+            const y = gainNode(el, x, system.nodeCount);
+            const c = clamp(el, s, y, x);
+            const row = stampCommon(system, el, s, c);
+            // 箝位項在目前的解線性化：L ≈ L0 + dy·(y - y0) + dVdd·(VDD - VDD0) + dVss·(VSS - VSS0)
+            let rhs = -c.value + c.dy * y + c.dVdd * nodeVoltage(x, el.nodes.vdd) + c.dVss * nodeVoltage(x, el.nodes.vss);
+            if (ctx.mode === 'tran' && s.tau > 0) {
+                // 閉迴路的時間常數 (約 1 / (2π·GBW)) 通常遠小於時間步長，梯形法在此會產生數值振盪，
+                // 因此 τ·dy/dt 一律以後向歐拉積分
+                const scale = s.tau / ctx.dt;
+                system.addMatrix(row, row, scale);
+                rhs += scale * ctx.state[el.id].y;
+            }
+            system.addRhs(row, rhs);
+        },
+        initialState(el, x, ctx) {
+            return { y: gainNode(el, x, ctx.nodeCount) };
+        },
+        acceptTimestep(el, x, ctx) {
+            return { y: gainNode(el, x, ctx.nodeCount) };
+        },
+        stampAC(system, el, ctx) {
+            const s = settings(el);
+            const x = ctx.solution;
+            const c = clamp(el, s, gainNode(el, x, system.nodeCount), x);
+            const row = stampCommon(system, el, s, c);
+            system.addMatrix(row, row, 0, ctx.omega * s.tau);
+        },
+        // 增益節點的小訊號增益降到一半以下 (箝位項的導數大於 1) 即視為飽和
+        operatingPoint(el, x, nodeCount) {
+            const s = settings(el);
+            const y = gainNode(el, x, nodeCount);
+            const c = clamp(el, s, y, x);
+            let region = 'linear';
+            if (c.dy > 1) region = -c.dVdd > -c.dVss ? 'positiveSaturation' : 'negativeSaturation';
+            return { region, regionName: REGION_NAMES[region], vout: y, vd: differential(el, x) };
+        }
+    };
+}
+
+/**
+ * 取得元件類型對應的模擬模型。
+ * @param {string} type - 元件類型 (如 'Resistor')。
+ * @returns {object|undefined}
+ */
+export function getDeviceModel(type) {
+    return deviceModels[type];
+}
@@ -1,18 +1,43 @@
-import { svg, state, circuit, gridSize, svgNS } from './state.js';
+import { svg, state, circuit, gridSize, svgNS, simulationSettings } from './state.js';
 import { updateViewBox, getSvgCoords, snapToGrid, findNearestTerminal, findNearestWire, render, isPathColliding } from './canvas.js';
-import { createComponentData, getComponentSVG, updateComponentTerminals } from './components.js';
-import { updateButtonStates, updatePropertiesPanel } from './ui.js';
+import { createComponentData, getComponentSVG, updateComponentTerminals, syncElementCounter } from './components.js';
+import { updateButtonStates, updatePropertiesPanel, updateAnalysisPanel } from './ui.js';
+import { importSpiceNetlist } from './spiceImport.js';
+import { serializeProject, loadProject, mergeSettings } from './project.js';
+import {
+    execute, record, undo, redo, clearHistory, snapshotWires,
+    addComponentCommand, moveComponentsCommand, rotateComponentsCommand, mirrorComponentsCommand, wireEditCommand,
+    addModelsCommand, setPropertyCommand, compositeCommand,
+} from './history.js';
+import { copyComponents, parseClipboardText, getLastCopied, instantiateClipboard } from './clipboard.js';
+import { deleteItemsCommand } from './deletion.js';
+import {
+    clearSelection, setSelection, hasSelection, isSelected, toggleSelection, pruneSelection,
+    selectionRect, selectInRect,
+} from './selection.js';
+
+// 選取模式下點選導線的判定距離 (畫布座標)
+const WIRE_HIT_RADIUS = 6;
+// 拖曳距離小於此值時視為單純點擊空白處
+const MARQUEE_MIN_SIZE = 3;
 
 let ghostComponent = null;
 let tempWireEl = null;
+// 開始繪製導線前的導線快照：完成時記錄為一步復原，取消時用來還原已插入的接點
+let wireSnapshot = null;
+// 拖曳元件前的導線快照：render() 會讓相連的導線跟著移動並補上接點，放開時與元件移動合為一步
+let dragWireSnapshot = null;
+let marqueeEl = null;
 
 function setMode(newMode, options = {}) {
     if (ghostComponent) { ghostComponent.remove(); ghostComponent = null; }
     if (tempWireEl) { tempWireEl.remove(); tempWireEl = null; }
+    if (state.currentWirePoints.length > 0) discardWireInProgress();
+    if (state.marquee) endMarquee();
 
     state.mode = newMode;
     state.placingType = options.placingType || null;
-    state.selectedComponentIds = [];
+    clearSelection();
     state.ghostRotation = 0;
     state.currentWirePoints = [];
     state.wireDirection = 'UNDETERMINED';
@@ -52,7 +77,7 @@ function onMouseDown(e) {
         const newComp = createComponentData(state.placingType, snappedX, snappedY);
         newComp.rotation = state.ghostRotation;
         updateComponentTerminals(newComp);
-        circuit.components.push(newComp);
+        execute(addComponentCommand(newComp));
         render();
 
         if (state.mode === 'PLACING' && state.placingType) {
@@ -65,6 +90,7 @@ function onMouseDown(e) {
         }
     } else if (state.mode === 'WIRING') {
         const { snapPoint, connected } = getWireSnapPoint(e);
+        if (state.currentWirePoints.length === 0) wireSnapshot = snapshotWires();
         
         // 情況 1: 從一條現有導線上開始畫新線
         if (snapPoint.wire && state.currentWirePoints.length === 0) {
@@ -116,10 +142,19 @@ function onMouseDown(e) {
         const { x, y } = getSvgCoords(e);
         const clickedElement = e.target.closest('.component');
         const clickedId = clickedElement ? clickedElement.dataset.id : null;
+        // 元件的編號/數值文字可單獨拖曳，點選時一併選取所屬元件
+        const labelElement = e.target.closest('.component-label');
+        if (labelElement) {
+            startLabelDrag(labelElement.dataset.id, labelElement.dataset.label, { x, y });
+            return;
+        }
+        // 導線不接收滑鼠事件，改以距離判斷是否點中
+        const clickedWire = clickedId ? null : findNearestWire(x, y, WIRE_HIT_RADIUS);
         
-        if (clickedId && state.selectedComponentIds.includes(clickedId)) {
+        if (clickedId && isSelected('component', clickedId)) {
             state.isDragging = true;
             state.dragStart = { x, y };
+            dragWireSnapshot = snapshotWires();
             state.componentDragStartPositions.clear();
             state.selectedComponentIds.forEach(id => {
                 const comp = circuit.components.find(c => c.id === id);
@@ -128,14 +163,19 @@ function onMouseDown(e) {
             return;
         }
 
+        // 點在空白處：開始框選，Shift 時加入目前的選取
+        if (!clickedId && !clickedWire) {
+            startMarquee({ x, y }, e.shiftKey);
+            return;
+        }
+
         if (e.shiftKey) {
-            if (clickedId) {
-                const index = state.selectedComponentIds.indexOf(clickedId);
-                if (index > -1) state.selectedComponentIds.splice(index, 1);
-                else state.selectedComponentIds.push(clickedId);
-            }
+            if (clickedId) toggleSelection('component', clickedId);
+            else toggleSelection('wire', clickedWire.wireId);
+        } else if (clickedId) {
+            setSelection([clickedId]);
         } else {
-            state.selectedComponentIds = clickedId ? [clickedId] : [];
+            setSelection([], [clickedWire.wireId]);
         }
         updatePropertiesPanel();
         render();
@@ -153,6 +193,17 @@ function onMouseMove(e) {
     }
 
     const { x, y } = getSvgCoords(e);
+    state.cursorPosition = { x, y };
+
+    if (state.marquee) {
+        updateMarquee({ x, y });
+        return;
+    }
+
+    if (state.labelDrag) {
+        moveLabel({ x, y });
+        return;
+    }
 
     if (state.isDragging) {
         const dx = x - state.dragStart.x, dy = y - state.dragStart.y;
@@ -250,10 +301,27 @@ function getWireSnapPoint(e) {
     return { snapPoint, connected };
 }
 
+// 放棄繪製中的導線，並還原起點插入到既有導線上的接點
+function discardWireInProgress() {
+    if (wireSnapshot) {
+        circuit.wires.splice(0, circuit.wires.length, ...wireSnapshot);
+        wireSnapshot = null;
+    }
+    state.currentWirePoints = [];
+}
+
+// 刪除導線後以數量編號可能與現有 ID 重複，因此往後找第一個未使用的編號
+function nextWireId() {
+    let n = circuit.wires.length + 1;
+    while (circuit.wires.some(w => w.id === `w${n}`)) n++;
+    return `w${n}`;
+}
+
 function finalizeCurrentWire() {
     if (state.currentWirePoints.length < 2) {
-        state.currentWirePoints = [];
+        discardWireInProgress();
         if (tempWireEl) { tempWireEl.remove(); tempWireEl = null; }
+        render();
         return;
     }
 
@@ -285,7 +353,7 @@ function finalizeCurrentWire() {
     }, []);
 
     const newWire = {
-        id: `w${circuit.wires.length + 1}`,
+        id: nextWireId(),
         points: cleanedPoints,
     };
     
@@ -293,6 +361,10 @@ function finalizeCurrentWire() {
     processWireIntersections(newWire);
     
     circuit.wires.push(newWire);
+    if (wireSnapshot) {
+        record(wireEditCommand('連線', wireSnapshot, snapshotWires()));
+        wireSnapshot = null;
+    }
     state.currentWirePoints = [];
     if (tempWireEl) { tempWireEl.remove(); tempWireEl = null; }
     render();
@@ -380,7 +452,91 @@ function findWireIntersection(a1, a2, b1, b2) {
     return null;
 }
 
+// --- 框選 ---
+
+function startMarquee(start, additive) {
+    state.marquee = { start, end: start, additive };
+    marqueeEl = document.createElementNS(svgNS, 'rect');
+    marqueeEl.classList.add('selection-rect');
+    svg.appendChild(marqueeEl);
+    updateMarquee(start);
+}
+
+function updateMarquee(end) {
+    state.marquee.end = end;
+    const rect = selectionRect(state.marquee.start, end);
+    marqueeEl.setAttribute('x', rect.x);
+    marqueeEl.setAttribute('y', rect.y);
+    marqueeEl.setAttribute('width', rect.width);
+    marqueeEl.setAttribute('height', rect.height);
+    marqueeEl.classList.toggle('crossing', rect.crossing);
+}
+
+function endMarquee() {
+    if (marqueeEl) { marqueeEl.remove(); marqueeEl = null; }
+    state.marquee = null;
+}
+
+function finishMarquee() {
+    const { start, end, additive } = state.marquee;
+    endMarquee();
+    const rect = selectionRect(start, end);
+    if (rect.width < MARQUEE_MIN_SIZE && rect.height < MARQUEE_MIN_SIZE) {
+        if (!additive) clearSelection();
+    } else {
+        selectInRect(rect, additive);
+    }
+    updatePropertiesPanel();
+    render();
+}
+
+// --- 拖曳元件文字 ---
+
+function startLabelDrag(componentId, key, start) {
+    const component = circuit.components.find(c => c.id === componentId);
+    if (!component) return;
+    if (!isSelected('component', componentId)) {
+        setSelection([componentId]);
+        updatePropertiesPanel();
+    }
+    state.labelDrag = { componentId, key, start, original: component.labelOffsets };
+    render();
+}
+
+function draggedLabelOffsets(position) {
+    const { key, start, original } = state.labelDrag;
+    const from = (original && original[key]) || { dx: 0, dy: 0 };
+    return {
+        ...original,
+        [key]: { dx: Math.round(from.dx + position.x - start.x), dy: Math.round(from.dy + position.y - start.y) },
+    };
+}
+
+function moveLabel(position) {
+    const component = circuit.components.find(c => c.id === state.labelDrag.componentId);
+    if (component) component.labelOffsets = draggedLabelOffsets(position);
+    state.labelDrag.end = position;
+    render();
+}
+
+// 放開時還原拖曳前的值，再以命令套用最終位置，讓整段拖曳成為一步復原
+function finishLabelDrag() {
+    const { componentId, start, end, original } = state.labelDrag;
+    const component = circuit.components.find(c => c.id === componentId);
+    const next = draggedLabelOffsets(end || start);
+    state.labelDrag = null;
+    if (!component) return;
+    if (original === undefined) delete component.labelOffsets;
+    else component.labelOffsets = original;
+    if (end && (end.x !== start.x || end.y !== start.y)) {
+        execute(setPropertyCommand(component, 'labelOffsets', next));
+    }
+    render();
+}
+
 function onMouseUp(e) {
+    if (state.marquee && e.button === 0) finishMarquee();
+    if (state.labelDrag && e.button === 0) finishLabelDrag();
     if (e.button === 1) {
         state.isPanning = false;
         const cursors = { 'SELECT': 'default', 'WIRING': 'crosshair', 'PLACING': 'crosshair' };
@@ -388,18 +544,39 @@ function onMouseUp(e) {
     }
     if (state.isDragging) {
         state.isDragging = false;
+        const moves = [];
         state.selectedComponentIds.forEach(id => {
             const comp = circuit.components.find(c => c.id === id);
             if(comp) {
                 comp.x = snapToGrid(comp.x, gridSize);
                 comp.y = snapToGrid(comp.y, gridSize);
                 updateComponentTerminals(comp);
+                const from = state.componentDragStartPositions.get(id);
+                if (from && (from.x !== comp.x || from.y !== comp.y)) {
+                    moves.push({ id, from, to: { x: comp.x, y: comp.y } });
+                }
             }
         });
         render();
+        // 整段拖曳 (含導線的連帶調整) 只記錄為一步
+        if (moves.length > 0) {
+            record(compositeCommand('移動元件', [
+                moveComponentsCommand(moves),
+                wireEditCommand('移動導線', dragWireSnapshot, snapshotWires()),
+            ]));
+        }
+        dragWireSnapshot = null;
     }
 }
 
+// 旋轉/翻轉選取的元件；render() 調整的相連導線與元件變更合為一步
+function transformSelection(command) {
+    const before = snapshotWires();
+    command.apply();
+    render();
+    record(compositeCommand(command.label, [command, wireEditCommand(command.label, before, snapshotWires())]));
+}
+
 function onContextMenu(e) {
     e.preventDefault();
     if (state.mode === 'PLACING') {
@@ -420,7 +597,90 @@ function onWheel(e) {
     updateViewBox();
 }
 
+// 將剪貼簿內容貼到 target 並選取貼上的元件 (一步復原)
+function pasteClipboard(data, target) {
+    let pasted;
+    try {
+        pasted = instantiateClipboard(data, target);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    const before = snapshotWires();
+    const after = [...before, ...pasted.wires];
+    if (state.mode !== 'SELECT') setMode('SELECT');
+    execute(compositeCommand('貼上', [
+        ...pasted.components.map(component => addComponentCommand(component)),
+        wireEditCommand('貼上導線', before, after),
+        addModelsCommand(pasted.models),
+    ]));
+    setSelection(pasted.components.map(c => c.id), pasted.wires.map(w => w.id));
+    updatePropertiesPanel();
+    render();
+}
+
+// 刪除/剪下選取的元件與導線 (導線的整理方式見 deletion.js)
+function removeSelection(label) {
+    execute(deleteItemsCommand(label, [...state.selectedComponentIds], [...state.selectedWireIds]));
+    clearSelection();
+    updatePropertiesPanel();
+    render();
+}
+
+// 系統剪貼簿事件 (Ctrl+C / Ctrl+X / Ctrl+V)；輸入框內維持瀏覽器的預設行為
+function isEditingText(e) {
+    return e.target.closest && e.target.closest('input, textarea, select');
+}
+
+function onCopy(e) {
+    if (isEditingText(e) || !hasSelection()) return;
+    const data = copyComponents(state.selectedComponentIds, state.selectedWireIds);
+    if (!data) return;
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', JSON.stringify(data));
+    if (e.type === 'cut') removeSelection('剪下');
+}
+
+function onPaste(e) {
+    if (isEditingText(e)) return;
+    const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+    const data = text ? parseClipboardText(text) : getLastCopied();
+    if (!data) return;
+    e.preventDefault();
+    pasteClipboard(data, state.cursorPosition || { x: data.origin.x + gridSize * 2, y: data.origin.y + gridSize * 2 });
+}
+
+// 復原/重做後移除已不存在的選取並更新畫面
+function refreshAfterHistoryChange() {
+    pruneSelection();
+    updatePropertiesPanel();
+    render();
+}
+
 function onKeyDown(e) {
+    // 在輸入框中打字時不觸發編輯快捷鍵 (輸入框有自己的復原)
+    if (isEditingText(e)) return;
+
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+        e.preventDefault();
+        if (state.mode === 'WIRING' && state.currentWirePoints.length > 0) return;
+        const redoRequested = key === 'y' || e.shiftKey;
+        if (redoRequested ? redo() : undo()) refreshAfterHistoryChange();
+        return;
+    }
+    // 複製一份並錯開兩格，不經過系統剪貼簿
+    if ((e.ctrlKey || e.metaKey) && key === 'd') {
+        e.preventDefault();
+        const data = copyComponents(state.selectedComponentIds, state.selectedWireIds);
+        if (data) pasteClipboard(data, { x: data.origin.x + gridSize * 2, y: data.origin.y + gridSize * 2 });
+        return;
+    }
+    if ((e.key === 'Delete' || e.key === 'Backspace') && state.mode === 'SELECT' && hasSelection()) {
+        e.preventDefault();
+        removeSelection('刪除');
+        return;
+    }
     if (e.key === 'Escape') {
         if (state.mode === 'WIRING' && state.currentWirePoints.length > 0) {
             finalizeCurrentWire();
@@ -428,25 +688,117 @@ function onKeyDown(e) {
             setMode('SELECT');
         }
     }
-    if (e.key.toLowerCase() === 'r' && state.selectedComponentIds.length > 0) {
-        state.selectedComponentIds.forEach(id => {
-            const comp = circuit.components.find(c => c.id === id);
-            if (comp) {
-                comp.rotation = (comp.rotation + 90) % 360;
-                updateComponentTerminals(comp);
-            }
-        });
+    if (key === 'r' && !e.ctrlKey && !e.metaKey && state.selectedComponentIds.length > 0) {
+        transformSelection(rotateComponentsCommand([...state.selectedComponentIds]));
+    }
+    // X：左右翻轉，Y：上下翻轉
+    if ((key === 'x' || key === 'y') && !e.ctrlKey && !e.metaKey && state.selectedComponentIds.length > 0) {
+        transformSelection(mirrorComponentsCommand([...state.selectedComponentIds], key));
+    }
+}
+
+async function onImportSpiceFiles(e) {
+    const selected = [...e.target.files];
+    e.target.value = '';
+    if (selected.length === 0) return;
+    try {
+        const files = {};
+        await Promise.all(selected.map(async (file) => { files[file.name] = await file.text(); }));
+        // 主網表：沒有被其他選取檔案以 .INCLUDE 引用的第一個檔案
+        const included = new Set(Object.values(files).flatMap(text =>
+            [...text.matchAll(/^\s*\.(?:include|inc|lib)\s+["']?([^"'\s]+)/gim)].map(m => m[1].split(/[\\/]/).pop())));
+        const main = selected.find(file => !included.has(file.name)) || selected[0];
+
+        if (circuit.components.length > 0 && !confirm(`匯入 ${main.name} 將取代目前的電路，是否繼續？`)) return;
+        const result = importSpiceNetlist(files[main.name], files);
+
+        setMode('SELECT');
+        circuit.components.splice(0, circuit.components.length, ...result.components);
+        circuit.wires.splice(0, circuit.wires.length, ...result.wires);
+        circuit.models = result.models;
+        syncElementCounter(circuit.components);
+        clearHistory();
+        if (result.analysis) {
+            mergeSettings(simulationSettings, result.analysis);
+            document.getElementById('analysis-type').value = simulationSettings.analysis;
+        }
+        state.viewBox.x = -gridSize * 2;
+        state.viewBox.y = -gridSize * 2;
+        updateViewBox();
+        updateAnalysisPanel();
         render();
+
+        const summary = `已匯入 ${result.components.length} 個元件、${result.wires.length} 條導線`;
+        alert(result.warnings.length > 0 ? `${summary}\n\n警告：\n${result.warnings.join('\n')}` : summary);
+    } catch (error) {
+        console.error("SPICE import failed:", error);
+        alert(`匯入失敗：${error.message}`);
     }
 }
 
+async function onSaveProject() {
+    const text = JSON.stringify(serializeProject(), null, 2);
+    try {
+        // 支援 File System Access API 的瀏覽器使用儲存對話框，其餘改為下載
+        if (window.showSaveFilePicker) {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: 'circuit.json',
+                types: [{ description: '電路專案', accept: { 'application/json': ['.json'] } }],
+            });
+            const writable = await handle.createWritable();
+            await writable.write(text);
+            await writable.close();
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        link.download = 'circuit.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        if (error.name === 'AbortError') return; // 使用者取消
+        console.error("Project save failed:", error);
+        alert(`儲存失敗：${error.message}`);
+    }
+}
+
+async function onOpenProject(e) {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    if (circuit.components.length > 0 && !confirm(`開啟 ${file.name} 將取代目前的電路，是否繼續？`)) return;
+    const text = await file.text();
+    setMode('SELECT');
+    try {
+        loadProject(text);
+        clearHistory();
+    } catch (error) {
+        console.error("Project load failed:", error);
+        alert(`開啟失敗：${error.message}`);
+        return;
+    }
+    document.getElementById('analysis-type').value = simulationSettings.analysis;
+    updateViewBox();
+    updateAnalysisPanel();
+    render();
+}
+
 export function setupEventListeners() {
     document.querySelectorAll('.component-btn[data-type]').forEach(btn => {
         btn.addEventListener('click', () => setMode('PLACING', { placingType: btn.dataset.type }));
     });
     document.getElementById('select-tool-btn').addEventListener('click', () => setMode('SELECT'));
     document.getElementById('wire-tool-btn').addEventListener('click', () => setMode('WIRING'));
+    document.getElementById('save-project-btn').addEventListener('click', onSaveProject);
+    document.getElementById('open-project-btn').addEventListener('click', () => document.getElementById('open-project-input').click());
+    document.getElementById('open-project-input').addEventListener('change', onOpenProject);
+    document.getElementById('import-spice-btn').addEventListener('click', () => document.getElementById('import-spice-input').click());
+    document.getElementById('import-spice-input').addEventListener('change', onImportSpiceFiles);
     document.getElementById('simulate-btn').addEventListener('click', () => import('./simulation.js').then(sim => sim.runSimulation()));
+    document.getElementById('analysis-type').addEventListener('change', (e) => {
+        simulationSettings.analysis = e.target.value;
+        updateAnalysisPanel();
+    });
 
     svg.addEventListener('mousedown', onMouseDown);
     svg.addEventListener('mousemove', onMouseMove);
@@ -455,7 +807,10 @@ export function setupEventListeners() {
     svg.addEventListener('contextmenu', onContextMenu);
     svg.addEventListener('mouseleave', () => {
         if (state.isPanning) state.isPanning = false;
-        if (state.isDragging) onMouseUp({button: 0});
+        if (state.isDragging || state.marquee || state.labelDrag) onMouseUp({button: 0});
     });
     window.addEventListener('keydown', onKeyDown);
+    document.addEventListener('copy', onCopy);
+    document.addEventListener('cut', onCopy);
+    document.addEventListener('paste', onPaste);
 }
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * history.js - 編輯歷史 (復原/重做)
+ *
+ * 每個編輯動作包裝成命令 { label, apply(), revert() }：
+ *   execute(command) 執行命令並推入復原堆疊；
+ *   record(command) 用於已經即時套用的動作 (如拖曳)，只記錄不再執行。
+ * 新的動作會清空重做堆疊。
+ */
+
+import { circuit } from './state.js';
+import { updateComponentTerminals } from './components.js';
+
+// 保留的最大步數
+const MAX_HISTORY = 200;
+
+const undoStack = [];
+const redoStack = [];
+
+function push(command) {
+    undoStack.push(command);
+    if (undoStack.length > MAX_HISTORY) undoStack.shift();
+    redoStack.length = 0;
+}
+
+export function execute(command) {
+    command.apply();
+    push(command);
+}
+
+export function record(command) {
+    push(command);
+}
+
+/**
+ * 復原最近一步。
+ * @returns {object|null} - 被復原的命令，沒有可復原的動作時為 null。
+ */
+export function undo() {
+    const command = undoStack.pop();
+    if (!command) return null;
+    command.revert();
+    redoStack.push(command);
+    return command;
+}
+
+/**
+ * 重做最近一次復原的動作。
+ * @returns {object|null}
+ */
+export function redo() {
+    const command = redoStack.pop();
+    if (!command) return null;
+    command.apply();
+    undoStack.push(command);
+    return command;
+}
+
+// 開啟專案或匯入網表後，舊的歷史已不適用
+export function clearHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+}
+
+const findComponent = (id) => circuit.components.find(c => c.id === id);
+const cloneWires = (wires) => JSON.parse(JSON.stringify(wires));
+
+// --- 命令 ---
+
+export function addComponentCommand(component) {
+    return {
+        label: `放置 ${component.id}`,
+        apply: () => { circuit.components.push(component); },
+        revert: () => {
+            const index = circuit.components.indexOf(component);
+            if (index > -1) circuit.components.splice(index, 1);
+        },
+    };
+}
+
+/**
+ * 移除元件 (連帶的導線調整請以 wireEditCommand 組成 compositeCommand)。
+ */
+export function removeComponentsCommand(ids) {
+    // 記錄原本的位置，復原時插回相同順序
+    const removed = circuit.components
+        .map((component, index) => ({ component, index }))
+        .filter(entry => ids.includes(entry.component.id));
+    return {
+        label: `刪除 ${removed.map(entry => entry.component.id).join(', ')}`,
+        apply: () => {
+            removed.slice().reverse().forEach(({ index }) => circuit.components.splice(index, 1));
+        },
+        revert: () => {
+            removed.forEach(({ component, index }) => circuit.components.splice(index, 0, component));
+        },
+    };
+}
+
+/**
+ * 移動元件。
+ * @param {Array<{id: string, from: {x: number, y: number}, to: {x: number, y: number}}>} moves
+ */
+export function moveComponentsCommand(moves) {
+    const moveTo = (key) => () => moves.forEach(move => {
+        const component = findComponent(move.id);
+        if (!component) return;
+        component.x = move[key].x;
+        component.y = move[key].y;
+        updateComponentTerminals(component);
+    });
+    return { label: '移動元件', apply: moveTo('to'), revert: moveTo('from') };
+}
+
+export function rotateComponentsCommand(ids, degrees = 90) {
+    const rotate = (delta) => () => ids.forEach(id => {
+        const component = findComponent(id);
+        if (!component) return;
+        component.rotation = ((component.rotation + delta) % 360 + 360) % 360;
+        updateComponentTerminals(component);
+    });
+    return { label: '旋轉元件', apply: rotate(degrees), revert: rotate(-degrees) };
+}
+
+/**
+ * 以畫面上的垂直軸 (axis 為 'x'，左右翻轉) 或水平軸 ('y'，上下翻轉) 鏡像元件。
+ * 已旋轉的元件在畫面上翻轉等於切換元件本身的鏡像並將旋轉角取負，兩次套用即還原。
+ */
+export function mirrorComponentsCommand(ids, axis) {
+    const key = axis === 'x' ? 'mirrorX' : 'mirrorY';
+    const flip = () => ids.forEach(id => {
+        const component = findComponent(id);
+        if (!component) return;
+        if (component[key]) delete component[key];
+        else component[key] = true;
+        component.rotation = (360 - component.rotation) % 360;
+        updateComponentTerminals(component);
+    });
+    return { label: axis === 'x' ? '左右翻轉' : '上下翻轉', apply: flip, revert: flip };
+}
+
+/**
+ * 修改元件屬性；value 為 undefined 時移除該屬性。
+ * 套用後重新計算端點，讓控制選用端子的屬性 (如 separateBulk) 同步生效。
+ */
+export function setPropertyCommand(component, key, value) {
+    const hadKey = Object.prototype.hasOwnProperty.call(component, key);
+    const previous = component[key];
+    const assign = (present, next) => {
+        if (present) component[key] = next;
+        else delete component[key];
+        updateComponentTerminals(component);
+    };
+    return {
+        label: `修改 ${component.id}.${key}`,
+        apply: () => assign(value !== undefined, value),
+        revert: () => assign(hadKey, previous),
+    };
+}
+
+/**
+ * 導線變更 (新增、分割、插入接點…)：以變更前後的導線快照互換。
+ * @param {string} label
+ * @param {Array<object>} before - 變更前的 circuit.wires 副本 (見 snapshotWires)。
+ * @param {Array<object>} after - 變更後的副本。
+ */
+export function wireEditCommand(label, before, after) {
+    const restore = (wires) => () => circuit.wires.splice(0, circuit.wires.length, ...cloneWires(wires));
+    return { label, apply: restore(after), revert: restore(before) };
+}
+
+export function snapshotWires() {
+    return cloneWires(circuit.wires);
+}
+
+// 加入 .MODEL 卡 (貼上或匯入時帶入的模型)
+export function addModelsCommand(models) {
+    const names = Object.keys(models);
+    return {
+        label: '加入模型',
+        apply: () => names.forEach(name => { circuit.models[name] = models[name]; }),
+        revert: () => names.forEach(name => { delete circuit.models[name]; }),
+    };
+}
+
+/**
+ * 新增、修改或移除 (card 為 undefined) 一張 .MODEL 卡。
+ * @param {string} name
+ * @param {{type: string, params: object}|undefined} card
+ */
+export function setModelCommand(name, card) {
+    const hadModel = Object.prototype.hasOwnProperty.call(circuit.models, name);
+    const previous = circuit.models[name];
+    const assign = (present, next) => {
+        if (present) circuit.models[name] = next;
+        else delete circuit.models[name];
+    };
+    return {
+        label: `修改模型 ${name}`,
+        apply: () => assign(card !== undefined, card),
+        revert: () => assign(hadModel, previous),
+    };
+}
+
+// 多個命令合併為一步，復原時依相反順序
+export function compositeCommand(label, commands) {
+    return {
+        label,
+        apply: () => commands.forEach(command => command.apply()),
+        revert: () => commands.slice().reverse().forEach(command => command.revert()),
+    };
+}
@@ -0,0 +1,73 @@
+/**
+ * labels.js - 元件旁的編號與數值文字
+ *
+ * 每個元件有兩個文字標籤：designator (如 R1) 與 value (如 1kΩ)。
+ * 文字一律保持水平，預設位置依元件旋轉後的外框決定：橫向元件放在上下方，直向與方形元件放在右側。
+ * 使用者拖曳過的標籤以 component.labelOffsets[key] = { dx, dy } 記錄相對預設位置的位移，
+ * 元件移動或旋轉時標籤跟著預設位置走。
+ */
+
+import { getComponentDefinition } from './componentLibrary.js';
+import { getComponentBounds } from './components.js';
+import { formatEngineering } from './units.js';
+import { describeWaveform } from './waveforms.js';
+
+// 文字基線與外框之間的距離
+const LABEL_GAP = 4;
+const LINE_HEIGHT = 14;
+
+function valueText(component, definition) {
+    if (component.type === 'NetLabel') return component.netName || null;
+    const format = (value) => (typeof value === 'number' ? formatEngineering(value, '', 4) : String(value));
+    if (component.type === 'NMOS' || component.type === 'PMOS') {
+        return `${format(component.width || '10u')}/${format(component.length || '1u')}`;
+    }
+    const unit = (definition.properties && definition.properties.unit) || '';
+    // 設定暫態波形的電源顯示波形摘要
+    if (component.waveform) return describeWaveform(component.waveform, unit);
+    // 沒有元件值而以 .MODEL 決定特性的元件 (如二極體) 顯示模型名稱
+    if (component.value === undefined || component.value === null || component.value === '') return component.model || null;
+    const text = typeof component.value === 'number' ? formatEngineering(component.value, unit, 4) : String(component.value);
+    // 電流控制的受控電源附上控制電流
+    return component.control ? `${text}·I(${component.control})` : text;
+}
+
+/**
+ * 取得元件要顯示的標籤。
+ * @param {object} component
+ * @returns {Array<{key: string, text: string, x: number, y: number, anchor: string}>} - x/y 為畫布座標 (文字基線)。
+ */
+export function getComponentLabels(component) {
+    const definition = getComponentDefinition(component.type);
+    if (!definition) return [];
+    // 接地、網路標籤等參考符號不顯示編號
+    const isReference = definition.metadata.type === 'reference';
+    const texts = [
+        { key: 'designator', text: isReference ? null : component.id },
+        { key: 'value', text: valueText(component, definition) },
+    ].filter(label => label.text);
+    if (texts.length === 0) return [];
+
+    const bounds = getComponentBounds(component);
+    const centerX = bounds.x + bounds.width / 2;
+    const centerY = bounds.y + bounds.height / 2;
+    const beside = isReference || bounds.height >= bounds.width;
+    const defaults = {};
+    if (beside) {
+        // 右側由上而下排列
+        const top = Math.round(centerY - (texts.length - 1) * LINE_HEIGHT / 2 + LINE_HEIGHT / 3);
+        texts.forEach((label, i) => {
+            defaults[label.key] = { x: bounds.x + bounds.width + LABEL_GAP, y: top + i * LINE_HEIGHT, anchor: 'start' };
+        });
+    } else {
+        defaults.designator = { x: centerX, y: bounds.y - LABEL_GAP, anchor: 'middle' };
+        defaults.value = { x: centerX, y: bounds.y + bounds.height + LABEL_GAP + Math.round(LINE_HEIGHT * 0.7), anchor: 'middle' };
+    }
+
+    const offsets = component.labelOffsets || {};
+    return texts.map(label => {
+        const position = defaults[label.key];
+        const offset = offsets[label.key] || { dx: 0, dy: 0 };
+        return { ...label, x: position.x + offset.dx, y: position.y + offset.dy, anchor: position.anchor };
+    });
+}
@@ -0,0 +1,164 @@
+/**
+ * linearSolver.js - 稠密線性方程組求解
+ *
+ * 以部分選主元 (partial pivoting) 的 LU 分解求解 MNA 方程式 A·x = b；
+ * 交流分析另有複數版本的高斯消去法。
+ * 電路規模通常只有數十個未知數，稠密矩陣已足夠。
+ */
+
+const PIVOT_EPSILON = 1e-18;
+
+/**
+ * 就地對矩陣做 LU 分解。
+ * @param {Array<Float64Array>} matrix - n×n 矩陣，分解後存放 L (下三角, 對角為 1) 與 U。
+ * @returns {Int32Array} - 列交換紀錄 (pivot[i] 為第 i 步換到的列)。
+ * @throws {Error} - 矩陣奇異時拋出，error.row 為無法選到主元的列索引。
+ */
+export function luDecompose(matrix) {
+    const n = matrix.length;
+    const pivot = new Int32Array(n);
+
+    for (let k = 0; k < n; k++) {
+        // 尋找第 k 行中絕對值最大的元素作為主元
+        let maxRow = k;
+        let maxVal = Math.abs(matrix[k][k]);
+        for (let i = k + 1; i < n; i++) {
+            const val = Math.abs(matrix[i][k]);
+            if (val > maxVal) { maxVal = val; maxRow = i; }
+        }
+        if (maxVal < PIVOT_EPSILON) {
+            const error = new Error(`矩陣奇異：第 ${k} 個未知數無法求解`);
+            error.row = k;
+            throw error;
+        }
+        pivot[k] = maxRow;
+        if (maxRow !== k) {
+            const tmp = matrix[k]; matrix[k] = matrix[maxRow]; matrix[maxRow] = tmp;
+        }
+
+        const rowK = matrix[k];
+        const diag = rowK[k];
+        for (let i = k + 1; i < n; i++) {
+            const rowI = matrix[i];
+            const factor = rowI[k] / diag;
+            if (factor === 0) continue;
+            rowI[k] = factor;
+            for (let j = k + 1; j < n; j++) {
+                rowI[j] -= factor * rowK[j];
+            }
+        }
+    }
+    return pivot;
+}
+
+/**
+ * 使用 LU 分解結果求解 A·x = b。
+ * @param {Array<Float64Array>} lu - luDecompose 處理過的矩陣。
+ * @param {Int32Array} pivot - luDecompose 回傳的列交換紀錄。
+ * @param {Float64Array} rhs - 右側向量 b (不會被修改)。
+ * @returns {Float64Array} - 解向量 x。
+ */
+export function luSolve(lu, pivot, rhs) {
+    const n = lu.length;
+    const x = Float64Array.from(rhs);
+
+    // 套用列交換
+    for (let k = 0; k < n; k++) {
+        const p = pivot[k];
+        if (p !== k) { const tmp = x[k]; x[k] = x[p]; x[p] = tmp; }
+    }
+    // 前代 (L·y = b)
+    for (let i = 1; i < n; i++) {
+        const row = lu[i];
+        let sum = x[i];
+        for (let j = 0; j < i; j++) sum -= row[j] * x[j];
+        x[i] = sum;
+    }
+    // 回代 (U·x = y)
+    for (let i = n - 1; i >= 0; i--) {
+        const row = lu[i];
+        let sum = x[i];
+        for (let j = i + 1; j < n; j++) sum -= row[j] * x[j];
+        x[i] = sum / row[i];
+    }
+    return x;
+}
+
+/**
+ * 便利函式：分解並求解一次。矩陣內容會被覆寫。
+ * @param {Array<Float64Array>} matrix - 係數矩陣 A。
+ * @param {Float64Array} rhs - 右側向量 b。
+ * @returns {Float64Array} - 解向量 x。
+ */
+export function solveLinearSystem(matrix, rhs) {
+    const pivot = luDecompose(matrix);
+    return luSolve(matrix, pivot, rhs);
+}
+
+/**
+ * 求解複數線性方程組 (A_re + jA_im)·x = b，用於交流小訊號分析。
+ * 以部分選主元的高斯消去法就地運算，實部與虛部分開存放。
+ * @param {Array<Float64Array>} re - 係數矩陣實部 (會被覆寫)。
+ * @param {Array<Float64Array>} im - 係數矩陣虛部 (會被覆寫)。
+ * @param {Float64Array} rhsRe - 右側向量實部。
+ * @param {Float64Array} rhsIm - 右側向量虛部。
+ * @returns {{re: Float64Array, im: Float64Array}} - 解向量。
+ * @throws {Error} - 矩陣奇異時拋出，error.row 為無法選到主元的列索引。
+ */
+export function solveComplexLinearSystem(re, im, rhsRe, rhsIm) {
+    const n = re.length;
+    const bRe = Float64Array.from(rhsRe);
+    const bIm = Float64Array.from(rhsIm);
+
+    for (let k = 0; k < n; k++) {
+        let maxRow = k;
+        let maxVal = Math.hypot(re[k][k], im[k][k]);
+        for (let i = k + 1; i < n; i++) {
+            const val = Math.hypot(re[i][k], im[i][k]);
+            if (val > maxVal) { maxVal = val; maxRow = i; }
+        }
+        if (maxVal < PIVOT_EPSILON) {
+            const error = new Error(`矩陣奇異：第 ${k} 個未知數無法求解`);
+            error.row = k;
+            throw error;
+        }
+        if (maxRow !== k) {
+            [re[k], re[maxRow]] = [re[maxRow], re[k]];
+            [im[k], im[maxRow]] = [im[maxRow], im[k]];
+            [bRe[k], bRe[maxRow]] = [bRe[maxRow], bRe[k]];
+            [bIm[k], bIm[maxRow]] = [bIm[maxRow], bIm[k]];
+        }
+
+        const pRe = re[k][k], pIm = im[k][k];
+        const pMag2 = pRe * pRe + pIm * pIm;
+        for (let i = k + 1; i < n; i++) {
+            const aRe = re[i][k], aIm = im[i][k];
+            if (aRe === 0 && aIm === 0) continue;
+            // factor = a / pivot
+            const fRe = (aRe * pRe + aIm * pIm) / pMag2;
+            const fIm = (aIm * pRe - aRe * pIm) / pMag2;
+            for (let j = k; j < n; j++) {
+                const kRe = re[k][j], kIm = im[k][j];
+                re[i][j] -= fRe * kRe - fIm * kIm;
+                im[i][j] -= fRe * kIm + fIm * kRe;
+            }
+            bRe[i] -= fRe * bRe[k] - fIm * bIm[k];
+            bIm[i] -= fRe * bIm[k] + fIm * bRe[k];
+        }
+    }
+
+    const xRe = new Float64Array(n);
+    const xIm = new Float64Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sRe = bRe[i], sIm = bIm[i];
+        for (let j = i + 1; j < n; j++) {
+            sRe -= re[i][j] * xRe[j] - im[i][j] * xIm[j];
+            sIm -= re[i][j] * xIm[j] + im[i][j] * xRe[j];
+        }
+        const dRe = re[i][i], dIm = im[i][i];
+        const dMag2 = dRe * dRe + dIm * dIm;
+        xRe[i] = (sRe * dRe + sIm * dIm) / dMag2;
+        xIm[i] = (sIm * dRe - sRe * dIm) / dMag2;
+    }
+    return { re: xRe, im: xIm };
+}
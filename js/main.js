@@ -1,9 +1,18 @@
 import { svg, state, gridSize } from './state.js';
 import { createGridPattern, updateViewBox, render } from './canvas.js';
 import { setupEventListeners } from './events.js';
-import { updateButtonStates, updatePropertiesPanel } from './ui.js';
+import { updateButtonStates, updatePropertiesPanel, updateAnalysisPanel, buildComponentToolbar } from './ui.js';
+import { loadComponentLibrary } from './componentLibrary.js';
+
+async function init() {
+    // 載入元件庫並建立元件按鈕 (須在綁定事件之前完成)
+    try {
+        buildComponentToolbar(await loadComponentLibrary());
+    } catch (error) {
+        console.error("Component library failed to load:", error);
+        alert(`元件庫載入失敗：${error.message}`);
+    }
 
-function init() {
     // 初始化視窗大小
     state.viewBox.w = svg.clientWidth;
     state.viewBox.h = svg.clientHeight;
@@ -11,31 +20,13 @@ function init() {
     createGridPattern(gridSize);
     updateViewBox();
     
-    // Initialize UI button listeners
-    document.querySelectorAll('.component-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const type = btn.dataset.type;
-            if (type) {
-                console.log(`Component button clicked: ${type}`);
-                window.setMode('PLACING', { placingType: type });
-            }
-        });
-    });
-    
-    document.getElementById('select-tool-btn').addEventListener('click', () => {
-        window.setMode('SELECT');
-    });
-    
-    document.getElementById('wire-tool-btn').addEventListener('click', () => {
-        window.setMode('WIRING');
-    });
-    
     setupEventListeners();
     
     // 設置初始模式
     state.mode = 'IDLE'; // or 'SELECT'
     updateButtonStates();
     updatePropertiesPanel();
+    updateAnalysisPanel();
     
     // 初始渲染
     render();
@@ -0,0 +1,358 @@
+/**
+ * mna.js - 修正節點分析法 (Modified Nodal Analysis) 引擎
+ *
+ * 未知數向量 x = [節點電壓 (不含接地)..., 分支電流...]。
+ * KCL 列以「流出節點的電流總和 = 注入電流」表示；
+ * 電壓源分支電流的方向為由正端經電源內部流向負端 (與 SPICE 相同)。
+ */
+
+import { solveLinearSystem, solveComplexLinearSystem } from './linearSolver.js';
+import { getDeviceModel } from './devices.js';
+
+export class MNASystem {
+    /**
+     * @param {number} nodeCount - 非接地節點數量。
+     * @param {number} branchCount - 分支電流未知數數量。
+     */
+    constructor(nodeCount, branchCount) {
+        this.nodeCount = nodeCount;
+        this.size = nodeCount + branchCount;
+        this.matrix = Array.from({ length: this.size }, () => new Float64Array(this.size));
+        this.rhs = new Float64Array(this.size);
+    }
+
+    /** 分支索引在未知數向量中的位置。 */
+    branchRow(branch) {
+        return this.nodeCount + branch;
+    }
+
+    addMatrix(row, col, value) {
+        if (row < 0 || col < 0) return;
+        this.matrix[row][col] += value;
+    }
+
+    addRhs(row, value) {
+        if (row < 0) return;
+        this.rhs[row] += value;
+    }
+
+    /**
+     * 在兩節點之間蓋印電導。
+     */
+    stampConductance(n1, n2, g) {
+        this.addMatrix(n1, n1, g);
+        this.addMatrix(n2, n2, g);
+        this.addMatrix(n1, n2, -g);
+        this.addMatrix(n2, n1, -g);
+    }
+
+    /**
+     * 蓋印獨立電流源，電流由 n1 經元件內部流向 n2。
+     */
+    stampCurrentSource(n1, n2, current) {
+        this.addRhs(n1, -current);
+        this.addRhs(n2, current);
+    }
+
+    /**
+     * 蓋印電壓控制電流源：電流 gm·(V(cPlus) - V(cMinus)) 由 outPlus 經元件流向 outMinus。
+     */
+    stampTransconductance(outPlus, outMinus, cPlus, cMinus, gm) {
+        this.addMatrix(outPlus, cPlus, gm);
+        this.addMatrix(outPlus, cMinus, -gm);
+        this.addMatrix(outMinus, cPlus, -gm);
+        this.addMatrix(outMinus, cMinus, gm);
+    }
+
+    /**
+     * 蓋印獨立電壓源：V(nPlus) - V(nMinus) = voltage。
+     */
+    stampVoltageSource(nPlus, nMinus, branch, voltage) {
+        const row = this.branchRow(branch);
+        this.addMatrix(nPlus, row, 1);
+        this.addMatrix(nMinus, row, -1);
+        this.addMatrix(row, nPlus, 1);
+        this.addMatrix(row, nMinus, -1);
+        this.addRhs(row, voltage);
+    }
+
+    solve() {
+        return solveLinearSystem(this.matrix, this.rhs);
+    }
+}
+
+/**
+ * 交流小訊號分析使用的複數 MNA 系統，蓋印介面與 MNASystem 相同，
+ * 另外提供複數導納與複數電源。
+ */
+export class ComplexMNASystem {
+    constructor(nodeCount, branchCount) {
+        this.nodeCount = nodeCount;
+        this.size = nodeCount + branchCount;
+        this.re = Array.from({ length: this.size }, () => new Float64Array(this.size));
+        this.im = Array.from({ length: this.size }, () => new Float64Array(this.size));
+        this.rhsRe = new Float64Array(this.size);
+        this.rhsIm = new Float64Array(this.size);
+    }
+
+    branchRow(branch) {
+        return this.nodeCount + branch;
+    }
+
+    addMatrix(row, col, re, im = 0) {
+        if (row < 0 || col < 0) return;
+        this.re[row][col] += re;
+        this.im[row][col] += im;
+    }
+
+    addRhs(row, re, im = 0) {
+        if (row < 0) return;
+        this.rhsRe[row] += re;
+        this.rhsIm[row] += im;
+    }
+
+    /**
+     * 在兩節點之間蓋印導納 Y = g + jb。
+     */
+    stampAdmittance(n1, n2, g, b = 0) {
+        this.addMatrix(n1, n1, g, b);
+        this.addMatrix(n2, n2, g, b);
+        this.addMatrix(n1, n2, -g, -b);
+        this.addMatrix(n2, n1, -g, -b);
+    }
+
+    stampConductance(n1, n2, g) {
+        this.stampAdmittance(n1, n2, g, 0);
+    }
+
+    stampTransconductance(outPlus, outMinus, cPlus, cMinus, gm) {
+        this.addMatrix(outPlus, cPlus, gm);
+        this.addMatrix(outPlus, cMinus, -gm);
+        this.addMatrix(outMinus, cPlus, -gm);
+        this.addMatrix(outMinus, cMinus, gm);
+    }
+
+    stampCurrentSource(n1, n2, re, im = 0) {
+        this.addRhs(n1, -re, -im);
+        this.addRhs(n2, re, im);
+    }
+
+    stampVoltageSource(nPlus, nMinus, branch, re, im = 0) {
+        const row = this.branchRow(branch);
+        this.addMatrix(nPlus, row, 1);
+        this.addMatrix(nMinus, row, -1);
+        this.addMatrix(row, nPlus, 1);
+        this.addMatrix(row, nMinus, -1);
+        this.addRhs(row, re, im);
+    }
+
+    solve() {
+        return solveComplexLinearSystem(this.re, this.im, this.rhsRe, this.rhsIm);
+    }
+}
+
+// 每個節點對地的微小電導，避免只經由電容相連的浮接節點造成矩陣奇異
+export const DEFAULT_GSHUNT = 1e-12;
+
+/**
+ * 依目前的分析狀態組裝並求解一次 MNA 方程式。
+ * @param {object} model - buildCircuitModel 產生的電路模型。
+ * @param {object} ctx - 分析狀態 (sourceFactor 等)。
+ * @returns {Float64Array} - 解向量。
+ */
+export function assembleAndSolve(model, ctx) {
+    const system = new MNASystem(model.nodeNames.length, model.branchCount);
+    model.elements.forEach(el => getDeviceModel(el.type).stamp(system, el, ctx));
+    const gshunt = (ctx.gshunt ?? DEFAULT_GSHUNT) + (ctx.gmin || 0);
+    for (let n = 0; n < model.nodeNames.length; n++) {
+        system.addMatrix(n, n, gshunt);
+    }
+    return solveSystem(model, system);
+}
+
+/**
+ * 求解已組裝的系統，並將矩陣奇異的錯誤轉換為指出節點或元件的訊息。
+ * @param {object} model - 電路模型。
+ * @param {MNASystem|ComplexMNASystem} system - 已蓋印完成的系統。
+ */
+export function solveSystem(model, system) {
+    try {
+        return system.solve();
+    } catch (error) {
+        if (error.row !== undefined) {
+            const name = error.row < model.nodeNames.length
+                ? `節點 ${model.nodeNames[error.row]}`
+                : `${branchOwner(model, error.row - model.nodeNames.length)} 的分支電流`;
+            throw new Error(`電路無法求解：${name} 沒有唯一解 (請檢查電壓源迴路或浮接元件)`);
+        }
+        throw error;
+    }
+}
+
+function branchOwner(model, branch) {
+    const el = model.elements.find(e => e.branch !== -1 && branch >= e.branch &&
+        branch < e.branch + getDeviceModel(e.type).branches);
+    return el ? el.id : `分支 ${branch}`;
+}
+
+/**
+ * 將解向量整理為節點電壓與分支電流。
+ * @param {object} model - 電路模型。
+ * @param {Float64Array} x - 解向量。
+ * @returns {{voltages: object, currents: object}}
+ */
+export function extractSolution(model, x) {
+    const voltages = { '0': 0 };
+    model.nodeNames.forEach((name, i) => { voltages[name] = x[i]; });
+    const currents = {};
+    model.elements.forEach(el => {
+        if (el.branch !== -1) currents[el.id] = x[model.nodeNames.length + el.branch];
+    });
+    return { voltages, currents };
+}
+
+// Newton-Raphson 收斂準則與迭代上限 (與 SPICE 預設值相近)
+const NR_OPTIONS = {
+    maxIterations: 100,
+    reltol: 1e-3,
+    vntol: 1e-6,
+    abstol: 1e-9,
+};
+
+function isNonlinear(model) {
+    return model.elements.some(el => getDeviceModel(el.type).nonlinear);
+}
+
+/**
+ * 以 Newton-Raphson 迭代求解非線性電路。
+ * 每次迭代以上一次的解線性化非線性元件；若步長比前一次更大 (發散跡象)，
+ * 則以阻尼係數縮短更新量。
+ * @param {object} model - 電路模型。
+ * @param {object} ctx - 分析狀態，迭代過程會寫入 ctx.solution 與 ctx.deviceState。
+ * @param {Float64Array} [initialGuess] - 初始猜測值，預設全為 0。
+ * @returns {{solution: Float64Array, iterations: number}}
+ * @throws {Error} - 超過迭代上限仍未收斂時拋出，error.nonConvergence 為 true (與矩陣奇異等錯誤區分)。
+ */
+export function solveNewtonRaphson(model, ctx, initialGuess) {
+    const size = model.nodeNames.length + model.branchCount;
+    const nodeCount = model.nodeNames.length;
+    let x = initialGuess ? Float64Array.from(initialGuess) : new Float64Array(size);
+    ctx.deviceState = ctx.deviceState || {};
+
+    if (!isNonlinear(model)) {
+        ctx.solution = x;
+        return { solution: assembleAndSolve(model, ctx), iterations: 1 };
+    }
+
+    let previousStep = Infinity;
+    for (let iteration = 1; iteration <= NR_OPTIONS.maxIterations; iteration++) {
+        ctx.solution = x;
+        ctx.limited = false;
+        const xNew = assembleAndSolve(model, ctx);
+
+        let stepNorm = 0;
+        let converged = !ctx.limited;
+        for (let i = 0; i < size; i++) {
+            const delta = Math.abs(xNew[i] - x[i]);
+            const tol = NR_OPTIONS.reltol * Math.max(Math.abs(xNew[i]), Math.abs(x[i])) +
+                (i < nodeCount ? NR_OPTIONS.vntol : NR_OPTIONS.abstol);
+            if (delta > tol) converged = false;
+            if (i < nodeCount) stepNorm = Math.max(stepNorm, delta);
+        }
+        if (converged) {
+            ctx.solution = xNew;
+            return { solution: xNew, iterations: iteration };
+        }
+
+        // 阻尼：步長持續變大時只前進一半
+        const damping = stepNorm > previousStep ? 0.5 : 1;
+        previousStep = stepNorm * damping;
+        for (let i = 0; i < size; i++) {
+            xNew[i] = x[i] + damping * (xNew[i] - x[i]);
+        }
+        x = xNew;
+    }
+    const error = new Error(`Newton-Raphson 在 ${NR_OPTIONS.maxIterations} 次迭代內未收斂`);
+    error.nonConvergence = true;
+    throw error;
+}
+
+/**
+ * Gmin stepping：先在每個節點並聯較大的電導讓電路容易收斂，
+ * 再逐步減小並以前一個解作為初始值，直到回到正常電路。
+ */
+function solveWithGminStepping(model, ctx) {
+    let x;
+    for (let gmin = 1e-2; gmin >= 1e-12; gmin /= 10) {
+        ctx.gmin = gmin;
+        x = solveNewtonRaphson(model, ctx, x).solution;
+    }
+    ctx.gmin = 0;
+    return solveNewtonRaphson(model, ctx, x).solution;
+}
+
+/**
+ * Source stepping：將所有獨立電源由 0 逐步提升至 100%，
+ * 某一步失敗時縮小步距重試。
+ */
+function solveWithSourceStepping(model, ctx) {
+    let x;
+    let factor = 0;
+    let step = 0.1;
+    while (factor < 1) {
+        const next = Math.min(1, factor + step);
+        ctx.sourceFactor = next;
+        try {
+            x = solveNewtonRaphson(model, ctx, x).solution;
+            factor = next;
+            step = Math.min(step * 2, 0.25);
+        } catch (error) {
+            ctx.deviceState = {};
+            step /= 4;
+            if (step < 1e-4) throw error;
+        }
+    }
+    return x;
+}
+
+/**
+ * 收集非線性元件的工作狀態 (如 MOSFET 操作區)。
+ */
+function collectDeviceStates(model, x) {
+    const devices = {};
+    model.elements.forEach(el => {
+        const device = getDeviceModel(el.type);
+        if (device.operatingPoint) devices[el.id] = device.operatingPoint(el, x, model.nodeNames.length);
+    });
+    return devices;
+}
+
+/**
+ * 計算直流工作點。
+ * 依序嘗試直接 Newton-Raphson、gmin stepping、source stepping。
+ * @param {object} model - 電路模型。
+ * @param {Float64Array} [initialGuess] - 初始猜測值 (如掃描時的前一點)。
+ * @param {number} [time] - 暫態分析的初始工作點傳入 0，讓電源採用波形在該時間的值。
+ * @param {boolean} [useInitialConditions] - 暫態分析 UIC 的起始點：電容電壓與電感電流固定為元件的 IC。
+ * @returns {{voltages: object, currents: object, devices: object, solution: Float64Array, method: string}}
+ */
+export function solveOperatingPoint(model, initialGuess, time, useInitialConditions = false) {
+    const strategies = [
+        ['newton', (ctx) => solveNewtonRaphson(model, ctx, initialGuess).solution],
+        ['gmin-stepping', (ctx) => solveWithGminStepping(model, ctx)],
+        ['source-stepping', (ctx) => solveWithSourceStepping(model, ctx)],
+    ];
+    let lastError;
+    for (const [method, solve] of strategies) {
+        const ctx = { mode: 'dc', time, useInitialConditions, sourceFactor: 1, gmin: 0, deviceState: {} };
+        try {
+            const x = solve(ctx);
+            return { ...extractSolution(model, x), devices: collectDeviceStates(model, x), solution: x, method };
+        } catch (error) {
+            // 矩陣奇異屬於電路拓樸問題，換策略也無法解決
+            if (!error.nonConvergence) throw error;
+            lastError = error;
+        }
+    }
+    throw new Error(`直流工作點無法收斂：${lastError.message}`);
+}
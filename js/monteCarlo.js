@@ -0,0 +1,169 @@
+/**
+ * monteCarlo.js - 蒙地卡羅分析
+ *
+ * 依各元件的容差 (tolerance，百分比) 隨機擾動元件值，重複求解直流工作點，
+ * 統計節點電壓的平均值、標準差與分佈，並依使用者設定的上下限計算良率。
+ * 使用可設定種子的亂數產生器，同一種子可重現相同的結果。
+ */
+
+import { solveOperatingPoint } from './mna.js';
+
+// 單次分析允許的最大次數
+const MAX_RUNS = 10000;
+
+/**
+ * Mulberry32 偽亂數產生器。
+ * @param {number} seed - 32 位元整數種子。
+ * @returns {function(): number} - 每次呼叫回傳 [0, 1) 的亂數。
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Box-Muller 轉換產生標準常態分佈亂數
+function standardNormal(random) {
+    let u = 0;
+    while (u === 0) u = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * 依容差擾動元件值。
+ * uniform：在 ±容差內均勻分佈；gaussian：容差視為 3σ (約 99.7% 落在容差內)。
+ * @param {number} nominal - 標稱值。
+ * @param {number} tolerance - 容差百分比。
+ * @param {string} distribution - 'uniform' 或 'gaussian'。
+ * @param {function(): number} random - 亂數產生器。
+ * @returns {number}
+ */
+export function perturbValue(nominal, tolerance, distribution, random) {
+    const fraction = tolerance / 100;
+    const deviation = distribution === 'gaussian'
+        ? standardNormal(random) * fraction / 3
+        : (2 * random() - 1) * fraction;
+    return nominal * (1 + deviation);
+}
+
+/**
+ * 計算樣本的平均值與標準差 (樣本標準差)。
+ */
+export function computeStatistics(samples) {
+    const n = samples.length;
+    if (n === 0) return { count: 0, mean: NaN, sigma: NaN, min: NaN, max: NaN };
+    const mean = samples.reduce((sum, v) => sum + v, 0) / n;
+    const variance = n > 1 ? samples.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+    return {
+        count: n,
+        mean,
+        sigma: Math.sqrt(variance),
+        min: samples.reduce((m, v) => Math.min(m, v), Infinity),
+        max: samples.reduce((m, v) => Math.max(m, v), -Infinity),
+    };
+}
+
+/**
+ * 將樣本分組成直方圖。
+ * @param {Array<number>} samples
+ * @param {number} [binCount] - 組數，預設為 √n (介於 5~40)。
+ * @returns {Array<{from: number, to: number, count: number}>}
+ */
+export function buildHistogram(samples, binCount) {
+    if (samples.length === 0) return [];
+    const bins = binCount || Math.min(40, Math.max(5, Math.round(Math.sqrt(samples.length))));
+    let min = samples.reduce((m, v) => Math.min(m, v), Infinity);
+    let max = samples.reduce((m, v) => Math.max(m, v), -Infinity);
+    if (min === max) {
+        const pad = Math.abs(min) * 1e-3 || 1e-3;
+        min -= pad;
+        max += pad;
+    }
+    const width = (max - min) / bins;
+    const histogram = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+    samples.forEach(v => {
+        histogram[Math.min(bins - 1, Math.floor((v - min) / width))].count++;
+    });
+    return histogram;
+}
+
+// 將空字串視為未設定的上下限
+function parseLimit(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 執行蒙地卡羅分析。
+ * @param {object} model - buildCircuitModel 產生的電路模型 (執行期間會暫時修改元件值)。
+ * @param {object} settings - { runs, seed, distribution, limits: [{node, min, max}] }
+ * @returns {object} - { runs, nodes, limits, passed, yield, failures }
+ *   runs[i] = { values: {元件: 值}, voltages, passed, error? }；
+ *   nodes[name] = { samples, stats }；limits 為有效的上下限 (含各自的通過數)。
+ */
+export function runMonteCarlo(model, settings) {
+    const runCount = Math.round(Number(settings.runs));
+    if (!(runCount >= 1) || runCount > MAX_RUNS) {
+        throw new Error(`蒙地卡羅次數必須介於 1 到 ${MAX_RUNS}`);
+    }
+    const toleranced = model.elements.filter(el => Number(el.params.tolerance) > 0 && Number.isFinite(Number(el.params.value)));
+    if (toleranced.length === 0) {
+        throw new Error('電路中沒有設定容差的元件');
+    }
+    const limits = (settings.limits || [])
+        .map(limit => ({ node: limit.node, min: parseLimit(limit.min), max: parseLimit(limit.max), passed: 0 }))
+        .filter(limit => limit.node && (limit.min !== null || limit.max !== null));
+    limits.forEach(limit => {
+        if (limit.node !== '0' && model.nodeIndex[limit.node] === undefined) {
+            throw new Error(`良率條件中的節點 ${limit.node} 不存在`);
+        }
+    });
+
+    const random = createRandom(Number(settings.seed) || 0);
+    const nominal = solveOperatingPoint(model);
+    const originals = toleranced.map(el => el.params.value);
+    const result = { runs: [], nodes: {}, limits, passed: 0, yield: 0, failures: 0 };
+    model.nodeNames.forEach(name => { result.nodes[name] = { samples: [] }; });
+
+    try {
+        for (let i = 0; i < runCount; i++) {
+            const values = {};
+            toleranced.forEach((el, k) => {
+                el.params.value = perturbValue(Number(originals[k]), Number(el.params.tolerance), settings.distribution, random);
+                values[el.id] = el.params.value;
+            });
+
+            let op;
+            try {
+                op = solveOperatingPoint(model, nominal.solution);
+            } catch (error) {
+                // 不收斂的樣本視為不良品，但不中斷整個分析
+                result.failures++;
+                result.runs.push({ values, voltages: null, passed: false, error: error.message });
+                continue;
+            }
+            model.nodeNames.forEach(name => result.nodes[name].samples.push(op.voltages[name]));
+            let passed = true;
+            limits.forEach(limit => {
+                const v = op.voltages[limit.node];
+                const ok = (limit.min === null || v >= limit.min) && (limit.max === null || v <= limit.max);
+                if (ok) limit.passed++;
+                else passed = false;
+            });
+            if (passed) result.passed++;
+            result.runs.push({ values, voltages: op.voltages, passed });
+        }
+    } finally {
+        toleranced.forEach((el, k) => { el.params.value = originals[k]; });
+    }
+
+    Object.values(result.nodes).forEach(node => { node.stats = computeStatistics(node.samples); });
+    result.yield = result.passed / runCount;
+    return result;
+}
@@ -0,0 +1,91 @@
+/**
+ * netlistTemplate.js - 網表模板
+ *
+ * 展開元件定義中的 spice.netlistTemplate，例如
+ *   "R${id} ${terminals.t1} ${terminals.t2} ${value}"
+ *
+ * 佔位符語法：
+ *   ${id}                元件編號去掉 designatorPrefix 後的部分 (R1 → 1)；${name} 為完整編號
+ *   ${terminals.<端子>}   該端子所在的節點名稱
+ *   ${value}、${width}…   元件屬性 (未設定時取 properties.customProperties 的預設值)
+ *   ${waveform}          電源的暫態波形，如 PULSE(0 5 0 1n 1n 5u 10u)；未設定時沒有值
+ *   ${a|b|'文字'}         依序取第一個有值的項目，數字或以引號包住的文字為常數
+ *   [ ... ]              選用片段：其中任一佔位符沒有值時整段省略
+ */
+
+import { formatEngineering } from './units.js';
+import { formatWaveform } from './waveforms.js';
+
+function formatValue(value) {
+    return typeof value === 'number' ? formatEngineering(value) : String(value);
+}
+
+// 解析 a.b.c 形式的路徑，找不到時回傳 undefined
+function lookup(path, scope) {
+    return path.split('.').reduce((object, key) => (
+        object !== undefined && object !== null && Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined
+    ), scope);
+}
+
+// 計算單一佔位符；所有候選都沒有值時回傳 undefined
+function resolvePlaceholder(expression, scope) {
+    for (const candidate of expression.split('|').map(s => s.trim())) {
+        const quoted = candidate.match(/^'(.*)'$|^"(.*)"$/);
+        if (quoted) return quoted[1] ?? quoted[2];
+        if (/^[-+]?\d/.test(candidate)) return candidate;
+        if (!/^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/.test(candidate)) {
+            throw new Error(`網表模板佔位符「${expression}」格式錯誤`);
+        }
+        const value = lookup(candidate, scope);
+        if (value !== undefined && value !== null && value !== '' && value !== false) return formatValue(value);
+    }
+    return undefined;
+}
+
+// 展開一段不含 [ ] 的文字；遇到沒有值的佔位符時呼叫 onMissing
+function expandSegment(text, scope, onMissing) {
+    return text.replace(/\$\{([^}]*)\}/g, (_, expression) => {
+        const value = resolvePlaceholder(expression, scope);
+        return value === undefined ? onMissing(expression) : value;
+    });
+}
+
+/**
+ * 展開網表模板。
+ * @param {string} template - 網表模板。
+ * @param {object} scope - 佔位符可用的資料 (見 buildNetlistScope)。
+ * @returns {string} - 展開後的網表行。
+ * @throws {Error} 必要的佔位符沒有值時。
+ */
+export function expandNetlistTemplate(template, scope) {
+    const parts = template.split(/(\[[^\]]*\])/);
+    return parts.map(part => {
+        if (part.startsWith('[') && part.endsWith(']')) {
+            let complete = true;
+            const text = expandSegment(part.slice(1, -1), scope, () => { complete = false; return ''; });
+            return complete ? text : '';
+        }
+        return expandSegment(part, scope, (expression) => {
+            throw new Error(`${scope.name} 的網表模板缺少「${expression}」的值`);
+        });
+    }).join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 建立元件的模板資料。
+ * @param {object} component - 電路中的元件資料。
+ * @param {object} definition - 元件庫中的定義。
+ * @param {function(string): string} node - 由端子名稱取得節點名稱。
+ * @returns {object}
+ */
+export function buildNetlistScope(component, definition, node) {
+    const prefix = definition.metadata.designatorPrefix || '';
+    const id = prefix && component.id.startsWith(prefix) && component.id.length > prefix.length
+        ? component.id.slice(prefix.length)
+        : component.id;
+    const terminals = {};
+    Object.keys(component.terminals).forEach(termId => { terminals[termId] = node(termId); });
+    const defaults = (definition.properties && definition.properties.customProperties) || {};
+    const waveform = component.waveform ? formatWaveform(component.waveform) : undefined;
+    return { ...defaults, ...component, terminals, id, name: component.id, waveform };
+}
@@ -0,0 +1,76 @@
+/**
+ * opamp.js - 運算放大器的模型選項與 SPICE 子電路
+ *
+ * 元件的 model 屬性為子電路名稱 (OPAMP_IDEAL、OPAMP_GBW、OPAMP_RAIL)，
+ * gain 為直流開迴路增益、gbw 為增益頻寬積 (Hz)。
+ * 內建模擬器的實際方程式在 devices.js；這裡的子電路只用於匯出網表，
+ * 讓其他 SPICE 模擬器 (ngspice、LTspice) 也能執行，匯入時再依名稱還原成元件。
+ */
+
+export const OPAMP_DEFAULTS = { model: 'OPAMP_IDEAL', gain: 1e5, gbw: 1e6 };
+
+// 各模型的子電路以 A、GBW 兩個參數描述；輸出皆以接地為參考
+const OPAMP_MODELS = {
+    OPAMP_IDEAL: {
+        name: '理想 (有限增益)',
+        description: '輸出 = A·(V+ − V−)，沒有頻寬與輸出範圍限制；電源端子不影響結果',
+        usesGbw: false,
+        body: [
+            'E1 out 0 vp vn {A}',
+        ],
+    },
+    OPAMP_GBW: {
+        name: '單極點 GBW',
+        description: '開迴路增益 A/(1 + jf·A/GBW)，閉迴路頻寬約為 GBW / 雜訊增益',
+        usesGbw: true,
+        body: [
+            'G1 0 int vp vn {A/1k}',
+            'R1 int 0 1k',
+            'C1 int 0 {A/(6.283185*GBW*1k)}',
+            'E1 out 0 int 0 1',
+        ],
+    },
+    OPAMP_RAIL: {
+        name: '電源箝位 (巨集模型)',
+        description: '單極點 GBW 模型，輸出限制在 VSS 與 VDD 之間',
+        usesGbw: true,
+        body: [
+            'G1 0 int vp vn {A/1k}',
+            'R1 int 0 1k',
+            'C1 int 0 {A/(6.283185*GBW*1k)}',
+            'B1 out 0 V=max(min(V(int), V(vdd)), V(vss))',
+        ],
+    },
+};
+
+export function listOpampModels() {
+    return Object.keys(OPAMP_MODELS).map(key => ({ key, ...OPAMP_MODELS[key] }));
+}
+
+export function isOpampModel(name) {
+    return Object.prototype.hasOwnProperty.call(OPAMP_MODELS, String(name).toUpperCase());
+}
+
+/**
+ * 取得運算放大器模型的名稱與參數，未設定的屬性採用預設值。
+ * @param {object} component - 元件資料 (或模擬時的 el.params)。
+ * @returns {{model: string, gain: number, gbw: number, usesGbw: boolean}}
+ */
+export function getOpampSettings(component) {
+    const model = String(component.model || OPAMP_DEFAULTS.model).toUpperCase();
+    const definition = OPAMP_MODELS[model];
+    if (!definition) throw new Error(`${component.id} 的運算放大器模型 ${component.model} 不存在`);
+    const gain = Number(component.gain ?? OPAMP_DEFAULTS.gain);
+    const gbw = Number(component.gbw ?? OPAMP_DEFAULTS.gbw);
+    return { model, gain, gbw, usesGbw: definition.usesGbw };
+}
+
+/**
+ * 匯出網表用的 .SUBCKT 定義。
+ * @param {string} name - 子電路名稱。
+ * @returns {string} - 含結尾換行。
+ */
+export function formatOpampSubcircuit(name) {
+    const { body } = OPAMP_MODELS[name];
+    return `.SUBCKT ${name} vp vn out vdd vss PARAMS: A=100k GBW=1Meg\n${body.join('\n')}\n.ENDS ${name}\n`;
+}
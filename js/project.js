@@ -0,0 +1,225 @@
+/**
+ * project.js - 專案檔 (儲存/開啟電路)
+ *
+ * 專案檔為 JSON：
+ *   {
+ *     format: 'akingcircuit-project',
+ *     version: PROJECT_VERSION,
+ *     circuit: { components, wires, models, parametricSweep },
+ *     elementCounter, viewBox, simulationSettings
+ *   }
+ * 格式變更時遞增 PROJECT_VERSION，並在 migrations 加入由前一版轉換的函數，
+ * 讓舊版寫出的檔案仍能開啟。
+ */
+
+import { circuit, elementCounter, simulationSettings, state } from './state.js';
+import { getComponentDefinition } from './componentLibrary.js';
+import { updateComponentTerminals, syncElementCounter } from './components.js';
+import { createParametricSweep } from './parametricSweep.js';
+import { validateWaveform } from './waveforms.js';
+
+export const PROJECT_FORMAT = 'akingcircuit-project';
+export const PROJECT_VERSION = 1;
+
+// 模組載入時的模擬設定即為預設值；開啟專案時以此為基礎再套用檔案中的設定
+const DEFAULT_SIMULATION_SETTINGS = JSON.parse(JSON.stringify(simulationSettings));
+
+const VALID_ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * 各版本升級到下一版的轉換函數，鍵為轉換前的版本 (如 1: (data) => ({ ...data, version: 2, ... }))。
+ * 目前只有第 1 版，尚無需要轉換的舊格式。
+ */
+const migrations = {};
+
+/**
+ * 依序套用遷移函數，將專案資料升級到目前版本。
+ * @param {object} data
+ * @returns {object}
+ */
+export function migrateProject(data) {
+    let migrated = data;
+    while (migrated.version < PROJECT_VERSION) {
+        const migrate = migrations[migrated.version];
+        if (!migrate) {
+            throw new Error(`無法從版本 ${migrated.version} 升級專案檔`);
+        }
+        migrated = migrate(migrated);
+    }
+    return migrated;
+}
+
+/**
+ * 檢查 (已升級的) 專案資料。
+ * @param {object} data
+ * @returns {Array<string>} - 問題清單，空陣列表示通過。
+ */
+export function validateProject(data) {
+    const errors = [];
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const { components, wires } = data.circuit || {};
+    if (!Array.isArray(components)) errors.push('circuit.components 必須是陣列');
+    if (!Array.isArray(wires)) errors.push('circuit.wires 必須是陣列');
+    if (errors.length > 0) return errors;
+
+    if (data.viewBox && !(['x', 'y', 'w', 'h'].every(key => isNumber(data.viewBox[key])) && data.viewBox.w > 0 && data.viewBox.h > 0)) {
+        errors.push('viewBox 無效');
+    }
+    if (data.simulationSettings !== undefined && (typeof data.simulationSettings !== 'object' || Array.isArray(data.simulationSettings))) {
+        errors.push('simulationSettings 必須是物件');
+    }
+
+    const terminalsById = {};
+    components.forEach((component, i) => {
+        const label = `元件 #${i + 1}${component && component.id ? ` (${component.id})` : ''}`;
+        if (!component || typeof component.id !== 'string' || !component.id) {
+            errors.push(`${label} 缺少 id`);
+            return;
+        }
+        if (terminalsById[component.id]) errors.push(`${label} 的 id 重複`);
+        const definition = getComponentDefinition(component.type);
+        if (!definition) {
+            errors.push(`${label} 的類型 ${component.type} 不在元件庫中`);
+            return;
+        }
+        if (!isNumber(component.x) || !isNumber(component.y)) errors.push(`${label} 的座標無效`);
+        if (!VALID_ROTATIONS.includes(component.rotation)) errors.push(`${label} 的旋轉角度必須是 0、90、180 或 270`);
+        ['mirrorX', 'mirrorY'].forEach(key => {
+            if (component[key] !== undefined && typeof component[key] !== 'boolean') errors.push(`${label} 的 ${key} 必須是布林值`);
+        });
+        if (component.labelOffsets !== undefined) {
+            const offsets = component.labelOffsets;
+            const valid = offsets && typeof offsets === 'object' && !Array.isArray(offsets)
+                && Object.values(offsets).every(offset => offset && isNumber(offset.dx) && isNumber(offset.dy));
+            if (!valid) errors.push(`${label} 的標籤位移 (labelOffsets) 無效`);
+        }
+        // 波形參數錯誤會讓畫面標籤與暫態分析出錯，開啟時就擋下
+        if (component.waveform !== undefined) {
+            const problem = component.waveform && typeof component.waveform === 'object' && !Array.isArray(component.waveform)
+                ? validateWaveform(component.waveform) : '必須是物件';
+            if (problem) errors.push(`${label} 的暫態波形無效：${problem}`);
+        }
+        terminalsById[component.id] = new Set(definition.terminals.map(t => t.name));
+    });
+
+    wires.forEach((wire, i) => {
+        const label = `導線 #${i + 1}${wire && wire.id ? ` (${wire.id})` : ''}`;
+        if (!wire || !Array.isArray(wire.points) || wire.points.length < 2) {
+            errors.push(`${label} 至少需要兩個點`);
+            return;
+        }
+        wire.points.forEach((point, j) => {
+            if (!point || !isNumber(point.x) || !isNumber(point.y)) {
+                errors.push(`${label} 第 ${j + 1} 點的座標無效`);
+            } else if (point.terminal) {
+                const terminals = terminalsById[point.terminal.componentId];
+                if (!terminals || !terminals.has(point.terminal.terminalId)) {
+                    errors.push(`${label} 連接到不存在的端點 ${point.terminal.componentId}.${point.terminal.terminalId}`);
+                }
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * 將目前的電路與設定轉為專案資料。
+ * @returns {object}
+ */
+export function serializeProject() {
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        circuit: {
+            components: clone(circuit.components),
+            // 只保存座標與端點連接，繪線時暫存的吸附資訊 (wire) 不寫入檔案
+            wires: circuit.wires.map(wire => ({
+                id: wire.id,
+                points: wire.points.map(({ x, y, terminal }) => (terminal ? { x, y, terminal: { ...terminal } } : { x, y })),
+            })),
+            models: clone(circuit.models || {}),
+            parametricSweep: clone(circuit.parametricSweep),
+        },
+        elementCounter: { ...elementCounter },
+        viewBox: { ...state.viewBox },
+        simulationSettings: clone(simulationSettings),
+    };
+}
+
+/**
+ * 將設定逐層併入目標物件，保留 patch 未指定的欄位。
+ */
+export function mergeSettings(target, patch) {
+    Object.keys(patch).forEach(key => {
+        const value = patch[key];
+        if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+            mergeSettings(target[key], value);
+        } else if (value !== undefined && !Number.isNaN(value)) {
+            target[key] = value;
+        }
+    });
+}
+
+/**
+ * 解析、升級、檢查並套用專案檔。驗證失敗時不會改動目前的電路。
+ * @param {string} text - 專案檔內容。
+ * @throws {Error} 檔案格式錯誤或驗證失敗時。
+ */
+export function loadProject(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`不是有效的 JSON：${error.message}`);
+    }
+    if (!data || data.format !== PROJECT_FORMAT) {
+        throw new Error('不是電路模擬器的專案檔');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error(`專案檔版本 ${data.version} 無效`);
+    }
+    if (data.version > PROJECT_VERSION) {
+        throw new Error(`專案檔版本 ${data.version} 比目前程式支援的版本 ${PROJECT_VERSION} 新，請更新程式`);
+    }
+    if (!data.circuit || typeof data.circuit !== 'object') {
+        throw new Error('專案檔缺少 circuit');
+    }
+    const project = migrateProject(data);
+    const errors = validateProject(project);
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 10).join('\n');
+        throw new Error(`專案檔內容有誤：\n${shown}${errors.length > 10 ? `\n…共 ${errors.length} 項` : ''}`);
+    }
+
+    circuit.components.splice(0, circuit.components.length, ...project.circuit.components);
+    // 端點位置依目前的元件庫重新計算
+    circuit.components.forEach(component => {
+        component.terminals = component.terminals || {};
+        updateComponentTerminals(component);
+    });
+    circuit.wires.splice(0, circuit.wires.length, ...project.circuit.wires);
+    circuit.models = project.circuit.models || {};
+    circuit.parametricSweep = { ...createParametricSweep(), ...project.circuit.parametricSweep };
+
+    // 計數器取檔案記錄值與現有編號兩者較大者
+    syncElementCounter(circuit.components);
+    Object.keys(project.elementCounter || {}).forEach(prefix => {
+        elementCounter[prefix] = Math.max(elementCounter[prefix] || 0, Number(project.elementCounter[prefix]) || 0);
+    });
+
+    const settings = JSON.parse(JSON.stringify(DEFAULT_SIMULATION_SETTINGS));
+    mergeSettings(settings, project.simulationSettings || {});
+    Object.keys(simulationSettings).forEach(key => delete simulationSettings[key]);
+    Object.assign(simulationSettings, settings);
+
+    if (project.viewBox) {
+        // 保留檔案中的位置與縮放，高度依目前視窗比例調整
+        const aspect = state.viewBox.w > 0 ? state.viewBox.h / state.viewBox.w : project.viewBox.h / project.viewBox.w;
+        state.viewBox.x = project.viewBox.x;
+        state.viewBox.y = project.viewBox.y;
+        state.viewBox.w = project.viewBox.w;
+        state.viewBox.h = project.viewBox.w * aspect;
+    }
+}
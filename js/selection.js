@@ -0,0 +1,97 @@
+/**
+ * selection.js - 選取狀態
+ *
+ * 選取的元件與導線分別記錄在 state.selectedComponentIds 與 state.selectedWireIds，
+ * 所有修改選取的動作都經由本模組，讓兩者保持一致。
+ *
+ * 框選依拖曳方向決定判定方式 (與常見 CAD 軟體相同)：
+ *   由左往右 (window)   只選取完全位於框內的物件
+ *   由右往左 (crossing) 選取與框有任何重疊的物件
+ */
+
+import { state, circuit } from './state.js';
+import { getComponentBounds } from './components.js';
+
+export function clearSelection() {
+    state.selectedComponentIds = [];
+    state.selectedWireIds = [];
+}
+
+export function setSelection(componentIds = [], wireIds = []) {
+    state.selectedComponentIds = [...componentIds];
+    state.selectedWireIds = [...wireIds];
+}
+
+export function hasSelection() {
+    return state.selectedComponentIds.length > 0 || state.selectedWireIds.length > 0;
+}
+
+export function isSelected(kind, id) {
+    return (kind === 'wire' ? state.selectedWireIds : state.selectedComponentIds).includes(id);
+}
+
+/**
+ * 切換單一物件的選取 (Shift+點選)。
+ * @param {'component'|'wire'} kind
+ * @param {string} id
+ */
+export function toggleSelection(kind, id) {
+    const key = kind === 'wire' ? 'selectedWireIds' : 'selectedComponentIds';
+    const ids = state[key];
+    state[key] = ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id];
+}
+
+// 移除已不存在的物件 (復原/重做後)
+export function pruneSelection() {
+    state.selectedComponentIds = state.selectedComponentIds.filter(id => circuit.components.some(c => c.id === id));
+    state.selectedWireIds = state.selectedWireIds.filter(id => circuit.wires.some(w => w.id === id));
+}
+
+// 由拖曳的起點與終點建立選取框；終點在起點左側時為 crossing 模式
+export function selectionRect(start, end) {
+    return {
+        x: Math.min(start.x, end.x),
+        y: Math.min(start.y, end.y),
+        width: Math.abs(end.x - start.x),
+        height: Math.abs(end.y - start.y),
+        crossing: end.x < start.x,
+    };
+}
+
+const contains = (rect, p) => p.x >= rect.x && p.x <= rect.x + rect.width && p.y >= rect.y && p.y <= rect.y + rect.height;
+
+const overlaps = (rect, box) => box.x <= rect.x + rect.width && box.x + box.width >= rect.x &&
+    box.y <= rect.y + rect.height && box.y + box.height >= rect.y;
+
+function componentInRect(component, rect) {
+    const bounds = getComponentBounds(component);
+    if (rect.crossing) return overlaps(rect, bounds);
+    return contains(rect, bounds) && contains(rect, { x: bounds.x + bounds.width, y: bounds.y + bounds.height });
+}
+
+// 導線為水平/垂直線段，線段的外框與選取框重疊即代表相交
+function wireInRect(wire, rect) {
+    if (!rect.crossing) return wire.points.every(p => contains(rect, p));
+    return wire.points.slice(1).some((p, i) => {
+        const q = wire.points[i];
+        return overlaps(rect, { x: Math.min(p.x, q.x), y: Math.min(p.y, q.y), width: Math.abs(p.x - q.x), height: Math.abs(p.y - q.y) });
+    });
+}
+
+/**
+ * 以選取框選取物件。
+ * @param {object} rect - selectionRect 的結果。
+ * @param {boolean} [additive=false] - true 時加入目前的選取 (Shift+框選)。
+ */
+export function selectInRect(rect, additive = false) {
+    const componentIds = circuit.components.filter(c => componentInRect(c, rect)).map(c => c.id);
+    const wireIds = circuit.wires.filter(w => wireInRect(w, rect)).map(w => w.id);
+    if (additive) {
+        setSelection(
+            [...new Set([...state.selectedComponentIds, ...componentIds])],
+            [...new Set([...state.selectedWireIds, ...wireIds])],
+        );
+    } else {
+        setSelection(componentIds, wireIds);
+    }
+}
@@ -1,120 +1,156 @@
-import { circuit, setLastGeneratedNodes, svg, svgNS } from './state.js';
-
-// 使用 Disjoint Set Union (DSU) 演算法來高效地確定節點連接關係
-class DSU {
-    constructor() { this.parent = {}; }
-    find(i) {
-        if (this.parent[i] === undefined) this.parent[i] = i;
-        if (this.parent[i] === i) return i;
-        return this.parent[i] = this.find(this.parent[i]);
-    }
-    union(i, j) {
-        const rootI = this.find(i);
-        const rootJ = this.find(j);
-        if (rootI !== rootJ) this.parent[rootI] = rootJ;
-    }
-}
+import { circuit, lastGeneratedNodes, setLastGeneratedNodes, svg, svgNS, gridSize, simulationSettings } from './state.js';
+import { buildNodeMap, buildCircuitModel, resolveNodeReference } from './circuitModel.js';
+import { solveOperatingPoint } from './mna.js';
+import { runTransient } from './transient.js';
+import { runAC, computeBode } from './acAnalysis.js';
+import { runDCSweep, getParameterUnit } from './dcSweep.js';
+import { runParametricSweep, describeParametricSweep } from './parametricSweep.js';
+import { runMonteCarlo, buildHistogram } from './monteCarlo.js';
+import { showWaveformPlot } from './waveformPlot.js';
+import { getComponentDefinition } from './componentLibrary.js';
+import { expandNetlistTemplate, buildNetlistScope } from './netlistTemplate.js';
+import { formatEngineering } from './units.js';
+import { builtinModels } from './devices.js';
+import { OPAMP_DEFAULTS, isOpampModel, formatOpampSubcircuit } from './opamp.js';
 
 export function generateNetlist() {
-    const dsu = new DSU();
-    let nodeCounter = 0;
-    // 將每個端點視為一個獨立的節點
-    circuit.components.forEach(comp => {
-        Object.keys(comp.terminals).forEach(termId => {
-            const key = `${comp.id}_${termId}`;
-            dsu.find(key);
-        });
-    });
-    // 遍歷所有線路，合併連接的節點
-    circuit.wires.forEach(wire => {
-        let connectedTerminals = [];
-        // 檢查線路的首尾是否連接到端點
-        const startPoint = wire.points[0];
-        const endPoint = wire.points[wire.points.length - 1];
-        if (startPoint.terminal) connectedTerminals.push(startPoint.terminal);
-        if (endPoint.terminal) connectedTerminals.push(endPoint.terminal);
-        // 將這條線路上所有連接的端點合併到同一個集合
-        for (let i = 1; i < connectedTerminals.length; i++) {
-            const key1 = `${connectedTerminals[0].componentId}_${connectedTerminals[0].terminalId}`;
-            const key2 = `${connectedTerminals[i].componentId}_${connectedTerminals[i].terminalId}`;
-            dsu.union(key1, key2);
-        }
-    });
-    // 為每個集合的根分配一個節點名稱 (N1, N2...)
-    const rootToNodeName = {};
-    const terminalToNodeName = {};
-    Object.keys(dsu.parent).forEach(terminalKey => {
-        const root = dsu.find(terminalKey);
-        if (!rootToNodeName[root]) {
-            nodeCounter++;
-            rootToNodeName[root] = `N${nodeCounter}`;
-        }
-        terminalToNodeName[terminalKey] = rootToNodeName[root];
-    });
-    // 接地處理邏輯
-    let groundNodeName = null;
-    const dcSource = circuit.components.find(c => c.type === 'DC_Source');
-    if (dcSource) {
-        groundNodeName = terminalToNodeName[`${dcSource.id}_t1`]; // 假設t1是負極
-    }
-    if (groundNodeName) {
-         Object.keys(terminalToNodeName).forEach(key => {
-            if (terminalToNodeName[key] === groundNodeName) {
-                terminalToNodeName[key] = '0';
-            }
-        });
+    const { terminalToNodeName, groundNodeName } = buildNodeMap(circuit);
+    if (!groundNodeName) {
+        throw new Error('電路中沒有接地元件，請放置接地符號以指定參考節點 0');
     }
     // 生成網表字串
     let netlist = "* Advanced Circuit Netlist\n\n";
+    const elementLines = [];
     circuit.components.forEach(comp => {
-        const node1 = terminalToNodeName[`${comp.id}_t1`] || `${comp.id}_t1_unconnected`;
-        const node2 = terminalToNodeName[`${comp.id}_t2`] || `${comp.id}_t2_unconnected`;
-        const node3 = terminalToNodeName[`${comp.id}_t3`] || `${comp.id}_t3_unconnected`;
-        
-        switch (comp.type) {
-            case 'Resistor': 
-                netlist += `${comp.id} ${node1} ${node2} ${comp.value}\n`; 
-                break;
-            case 'Capacitor': 
-                netlist += `${comp.id} ${node1} ${node2} ${comp.value}\n`; 
-                break;
-            case 'Inductor': 
-                netlist += `${comp.id} ${node1} ${node2} ${comp.value}\n`; 
-                break;
-            case 'DC_Source': 
-                netlist += `${comp.id} ${node2} ${node1} DC ${comp.value}\n`; 
-                break;
-            case 'NMOS':
-                // NMOS format: M<name> <drain> <gate> <source> <bulk> <model-name>
-                netlist += `${comp.id} ${node1} ${node3} ${node2} ${node2} NMOS_MODEL\n`;
-                break;
-            case 'PMOS':
-                // PMOS format: M<name> <drain> <gate> <source> <bulk> <model-name>
-                netlist += `${comp.id} ${node1} ${node3} ${node2} ${node2} PMOS_MODEL\n`;
-                break;
+        const definition = getComponentDefinition(comp.type);
+        // 接地等參考元件只決定節點 0，不產生元件行
+        if (!definition || definition.metadata.type === 'reference') return;
+        const template = definition.spice && definition.spice.netlistTemplate;
+        if (!template) {
+            netlist += `* ${comp.id}: 元件庫中的 ${comp.type} 沒有定義 spice.netlistTemplate\n`;
+            return;
         }
+        // 依元件實際的端點名稱查詢節點，未連接的端點以獨立節點名稱表示
+        const node = (termId) => terminalToNodeName[`${comp.id}_${termId}`] || `${comp.id}_${termId}_unconnected`;
+        const line = expandNetlistTemplate(template, buildNetlistScope(comp, definition, node));
+        elementLines.push(line);
+        netlist += `${line}\n`;
     });
     
-    // 添加MOSFET模型定義
+    // 添加模型定義：元件行用到的內建模型 (未被電路中同名模型取代時) 與電路中的 .MODEL 卡
     netlist += "\n";
-    netlist += ".MODEL NMOS_MODEL NMOS (VTO=1.0 KP=120U LAMBDA=0.01)\n";
-    netlist += ".MODEL PMOS_MODEL PMOS (VTO=-1.0 KP=40U LAMBDA=0.01)\n";
-    netlist += "\n.OP\n.END\n";
+    const usedNames = new Set(elementLines.flatMap(line => line.split(/\s+/)));
+    const models = { ...builtinModelCards(usedNames), ...(circuit.models || {}) };
+    Object.keys(models).forEach(name => {
+        const { type, params } = models[name];
+        const values = Object.keys(params).map(key => `${key}=${formatEngineering(params[key])}`).join(' ');
+        netlist += `.MODEL ${name} ${type} (${values})\n`;
+    });
+    // 運算放大器以子電路實例輸出，附上用到的子電路定義
+    circuit.components
+        .filter(comp => comp.type === 'OpAmp')
+        .map(comp => String(comp.model || OPAMP_DEFAULTS.model).toUpperCase())
+        .filter((name, index, names) => isOpampModel(name) && names.indexOf(name) === index)
+        .forEach(name => { netlist += `\n${formatOpampSubcircuit(name)}`; });
+    netlist += `\n${analysisCard()}\n`;
+    if (circuit.parametricSweep && circuit.parametricSweep.enabled) {
+        netlist += `${describeParametricSweep(circuit.parametricSweep)}\n`;
+    }
+    netlist += ".END\n";
     setLastGeneratedNodes(terminalToNodeName);
     return netlist;
 }
 
-export async function runSimulation() {
-    const netlist = generateNetlist();
-    console.log("--- Generated Netlist ---\n" + netlist);
+function builtinModelCards(usedNames) {
+    const cards = {};
+    Object.keys(builtinModels).filter(name => usedNames.has(name)).forEach(name => {
+        const { type, ...params } = builtinModels[name];
+        cards[name] = { type, params };
+    });
+    return cards;
+}
+
+// 依目前的模擬設定產生分析指令卡
+function analysisCard() {
+    const { dc, tran, ac } = simulationSettings;
+    switch (simulationSettings.analysis) {
+        case 'dc': {
+            // SPICE 的 .DC 只能掃描電源值；其他參數的掃描僅內建模擬器支援，以註解保留設定
+            const sweeps = [dc.sweep1, ...(dc.sweep2.enabled ? [dc.sweep2] : [])];
+            const card = '.DC ' + sweeps.map(s => `${s.componentId}${s.parameter === 'value' ? '' : '.' + s.parameter} ${s.start} ${s.stop} ${s.step}`).join(' ');
+            const spiceCompatible = sweeps.every(s => s.parameter === 'value' && /^[VI]/i.test(s.componentId));
+            return spiceCompatible ? card : `* ${card}\n.OP`;
+        }
+        case 'tran':
+            return `.TRAN ${tran.maxStep} ${tran.stopTime} 0 ${tran.maxStep}${tran.useInitialConditions ? ' UIC' : ''}`;
+        case 'ac':
+            return `.AC ${ac.sweepType.toUpperCase()} ${ac.points} ${ac.startFrequency} ${ac.stopFrequency}`;
+        case 'mc': {
+            const mc = simulationSettings.monteCarlo;
+            return `.OP\n* Monte Carlo: ${mc.runs} runs, seed=${mc.seed}, ${mc.distribution}`;
+        }
+        default:
+            return '.OP';
+    }
+}
+
+// 分析設定中的節點以穩定的參照儲存，執行時才換成本次網表的節點名稱
+const nodeOf = (reference) => resolveNodeReference(reference, lastGeneratedNodes);
+
+// 以波形圖呈現結果的分析類型：run 執行分析，plot 產生 { title, charts } 供 showWaveformPlot 使用
+const plottedAnalyses = {
+    dc: { run: (model) => runDCSweep(model, simulationSettings.dc), plot: dcSweepPlot },
+    tran: { run: (model) => runTransient(model, simulationSettings.tran), plot: transientPlot },
+    ac: {
+        run: (model) => {
+            if (!simulationSettings.ac.outputNode) {
+                throw new Error('請先在模擬設定中選擇輸出節點');
+            }
+            return runAC(model, simulationSettings.ac);
+        },
+        plot: acPlot,
+    },
+};
+
+function runAnalysis(model) {
+    const analysis = plottedAnalyses[simulationSettings.analysis];
+    return analysis ? analysis.run(model) : solveOperatingPoint(model);
+}
+
+export function runSimulation() {
     try {
-        const results = await spicejs.simulate(netlist);
+        const netlist = generateNetlist();
+        console.log("--- Generated Netlist ---\n" + netlist);
+        const model = buildCircuitModel(circuit, lastGeneratedNodes);
+        if (simulationSettings.analysis === 'mc') {
+            const { monteCarlo } = simulationSettings;
+            const limits = (monteCarlo.limits || []).map(limit => ({ ...limit, node: nodeOf(limit.node) }));
+            const results = { mc: runMonteCarlo(model, { ...monteCarlo, limits }) };
+            console.log("--- Simulation Results ---", results);
+            displayMonteCarloResults(results.mc);
+            return;
+        }
+        if (circuit.parametricSweep && circuit.parametricSweep.enabled) {
+            const results = { parametric: runParametricSweep(model, circuit.parametricSweep, runAnalysis) };
+            console.log("--- Simulation Results ---", results);
+            displayParametricResults(results.parametric);
+            return;
+        }
+        const analysis = plottedAnalyses[simulationSettings.analysis];
+        if (analysis) {
+            const results = { [simulationSettings.analysis]: analysis.run(model) };
+            console.log("--- Simulation Results ---", results);
+            const { title, charts } = analysis.plot(results[simulationSettings.analysis]);
+            showWaveformPlot(title, charts);
+            return;
+        }
+        const results = { op: solveOperatingPoint(model) };
         console.log("--- Simulation Results ---", results);
         displayResults(results);
         alert("模擬成功！");
     } catch (error) {
         console.error("Simulation failed:", error);
-        alert("模擬失敗，請檢查電路連接或在 Console (F12) 中查看錯誤。");
+        alert(`模擬失敗：${error.message}`);
     }
 }
 
@@ -126,11 +162,9 @@ function displayResults(results) {
     
     Object.keys(circuit.components).forEach(idx => {
         const comp = circuit.components[idx];
-        const terminals = comp.type === 'NMOS' || comp.type === 'PMOS' ? ['t1', 't2', 't3'] : ['t1', 't2'];
-        
-        terminals.forEach(termId => {
+        Object.keys(comp.terminals).forEach(termId => {
             const nodeName = (comp.id && termId) ? (comp.id + '_' + termId) : null;
-            const mappedNode = nodeName ? (results.lastGeneratedNodes ? results.lastGeneratedNodes[nodeName] : null) : null;
+            const mappedNode = nodeName ? lastGeneratedNodes[nodeName] : null;
             if (mappedNode && voltages[mappedNode] !== undefined && !displayedNodes.has(mappedNode)) {
                 displayedNodes.add(mappedNode);
                 const voltageValue = voltages[mappedNode].toFixed(3) + 'V';
@@ -144,4 +178,148 @@ function displayResults(results) {
             }
         });
     });
-}
\ No newline at end of file
+
+    // 標示非線性元件 (MOSFET、二極體、BJT) 收斂後的操作區
+    Object.entries(results.op.devices || {}).forEach(([id, info]) => {
+        const comp = circuit.components.find(c => c.id === id);
+        if (!comp || !info.regionName) return;
+        const text = document.createElementNS(svgNS, 'text');
+        text.setAttribute('x', comp.x);
+        text.setAttribute('y', comp.y + gridSize * 3);
+        text.classList.add('simulation-text');
+        text.textContent = `${id}: ${info.regionName} ${describeOperatingPoint(info)}`;
+        svg.appendChild(text);
+    });
+}
+
+// BJT 顯示 Ic、Vbe 與 β，運算放大器顯示輸出與差動輸入電壓，其他元件顯示電流 Id
+function describeOperatingPoint(info) {
+    if (info.vout !== undefined) return `Vo=${info.vout.toFixed(3)}V Vd=${formatEngineering(info.vd, 'V', 3)}`;
+    if (info.ic === undefined) return `Id=${(info.id * 1000).toFixed(3)}mA`;
+    const beta = Math.abs(info.beta) < 1e4 ? info.beta.toFixed(1) : '-';
+    return `Ic=${(info.ic * 1000).toFixed(3)}mA Vbe=${info.vbe.toFixed(3)}V β=${beta}`;
+}
+
+// 暫態分析：節點電壓與分支電流對時間
+function transientPlot(tran) {
+    const toSeries = (table) => Object.entries(table).map(([name, values]) => ({ name, values }));
+    const charts = [{
+        title: '節點電壓',
+        xLabel: '時間 (s)',
+        yLabel: 'V',
+        x: tran.time,
+        series: toSeries(tran.voltages).map(s => ({ ...s, name: `V(${s.name})` }))
+    }];
+    if (Object.keys(tran.currents).length > 0) {
+        charts.push({
+            title: '分支電流',
+            xLabel: '時間 (s)',
+            yLabel: 'A',
+            x: tran.time,
+            series: toSeries(tran.currents).map(s => ({ ...s, name: `I(${s.name})` }))
+        });
+    }
+    return { title: `暫態分析 (0 ~ ${simulationSettings.tran.stopTime}s)`, charts };
+}
+
+const sweepAxisName = (sweep) => `${sweep.componentId}${sweep.parameter === 'value' ? '' : '.' + sweep.parameter}`;
+
+// 直流掃描：轉移曲線；有第二掃描時每個外層值各一條曲線
+function dcSweepPlot(dc) {
+    const { sweep1, sweep2 } = dc;
+    const suffix = (curve) => sweep2 ? ` @ ${sweepAxisName(sweep2)}=${formatEngineering(curve.value, getParameterUnit(sweep2.type, sweep2.parameter), 4)}` : '';
+    const collect = (table, prefix) => dc.curves.flatMap(curve =>
+        Object.entries(curve[table]).map(([name, values]) => ({ name: `${prefix}(${name})${suffix(curve)}`, values })));
+
+    const unit = getParameterUnit(sweep1.type, sweep1.parameter);
+    const xLabel = `${sweepAxisName(sweep1)}${unit ? ` (${unit})` : ''}`;
+    const charts = [{ title: '節點電壓', xLabel, yLabel: 'V', x: sweep1.values, series: collect('voltages', 'V') }];
+    const currents = collect('currents', 'I');
+    if (currents.length > 0) {
+        charts.push({ title: '電流', xLabel, yLabel: 'A', x: sweep1.values, series: currents });
+    }
+    return { title: `直流掃描 ${sweepAxisName(sweep1)}` + (sweep2 ? ` / ${sweepAxisName(sweep2)}` : ''), charts };
+}
+
+// 交流分析：選定節點對的波德圖 (增益 dB / 相位)
+function acPlot(ac) {
+    const outputNode = nodeOf(simulationSettings.ac.outputNode);
+    const referenceNode = nodeOf(simulationSettings.ac.referenceNode || '0');
+    const { magnitudeDb, phaseDeg } = computeBode(ac, outputNode, referenceNode);
+    const pairName = referenceNode && referenceNode !== '0' ? `V(${outputNode},${referenceNode})` : `V(${outputNode})`;
+    const logX = simulationSettings.ac.sweepType !== 'lin';
+    return {
+        title: `交流分析 ${pairName}`,
+        charts: [
+            { title: '增益', xLabel: '頻率 (Hz)', yLabel: 'dB', x: ac.frequency, logX,
+              series: [{ name: `|${pairName}| (dB)`, values: magnitudeDb }] },
+            { title: '相位', xLabel: '頻率 (Hz)', yLabel: '°', x: ac.frequency, logX,
+              series: [{ name: `∠${pairName} (°)`, values: phaseDeg }] },
+        ],
+    };
+}
+
+// 參數掃描：將每個參數值的結果疊在同一張圖上，曲線名稱附上參數值；
+// 直流工作點則改畫各節點電壓/電流對參數值的曲線
+function displayParametricResults(parametric) {
+    const unit = getParameterUnit(parametric.type, parametric.parameter);
+    const axisName = sweepAxisName(parametric);
+    const label = (value) => `${axisName}=${formatEngineering(value, unit, 4)}`;
+    const analysis = plottedAnalyses[simulationSettings.analysis];
+
+    if (!analysis) {
+        const x = parametric.runs.map(run => run.value);
+        const collect = (pick, prefix) => Object.keys(pick(parametric.runs[0].result))
+            .filter(name => name !== '0')
+            .map(name => ({ name: `${prefix}(${name})`, values: parametric.runs.map(run => pick(run.result)[name]) }));
+        const deviceCurrents = (op) => Object.fromEntries(Object.entries(op.devices || {})
+            .filter(([, info]) => typeof info.id === 'number').map(([id, info]) => [id, info.id]));
+        const xLabel = `${axisName}${unit ? ` (${unit})` : ''}`;
+        const charts = [{ title: '節點電壓', xLabel, yLabel: 'V', x, series: collect(op => op.voltages, 'V') }];
+        const currents = [...collect(op => op.currents, 'I'), ...collect(deviceCurrents, 'I')];
+        if (currents.length > 0) {
+            charts.push({ title: '電流', xLabel, yLabel: 'A', x, series: currents });
+        }
+        showWaveformPlot(`參數掃描 ${axisName} (直流工作點)`, charts);
+        return;
+    }
+
+    const plots = parametric.runs.map(run => analysis.plot(run.result));
+    const charts = plots[0].charts.map((chart, index) => ({
+        ...chart,
+        series: plots.flatMap((plot, runIndex) => plot.charts[index].series.map(series => ({
+            ...series,
+            x: plot.charts[index].x,
+            name: `${series.name} [${label(parametric.runs[runIndex].value)}]`,
+        }))),
+    }));
+    showWaveformPlot(`${plots[0].title} - 參數掃描 ${axisName}`, charts);
+}
+
+// 蒙地卡羅：良率摘要與節點電壓直方圖 (有良率條件時只畫受限節點，否則畫全部節點)
+function displayMonteCarloResults(mc) {
+    const format = (v) => Number(v.toPrecision(5)).toString();
+    const total = mc.runs.length;
+    const limitsByNode = {};
+    mc.limits.forEach(limit => { (limitsByNode[limit.node] = limitsByNode[limit.node] || []).push(limit); });
+    const nodes = mc.limits.length > 0 ? Object.keys(limitsByNode) : Object.keys(mc.nodes);
+
+    const charts = nodes.filter(name => mc.nodes[name]).map(name => {
+        const { samples, stats } = mc.nodes[name];
+        const markers = (limitsByNode[name] || []).flatMap(limit => [
+            ...(limit.min !== null ? [{ value: limit.min, label: `min ${format(limit.min)}` }] : []),
+            ...(limit.max !== null ? [{ value: limit.max, label: `max ${format(limit.max)}` }] : []),
+        ]);
+        const lines = [`μ = ${format(stats.mean)} V   σ = ${format(stats.sigma)} V`,
+            `範圍 ${format(stats.min)} ~ ${format(stats.max)} V`];
+        (limitsByNode[name] || []).forEach(limit => {
+            lines.push(`通過 [${limit.min ?? '-∞'}, ${limit.max ?? '+∞'}]：${limit.passed}/${total} (${(limit.passed / total * 100).toFixed(1)}%)`);
+        });
+        return { title: `V(${name})`, xLabel: 'V', bins: buildHistogram(samples), markers, summary: lines.join('\n') };
+    });
+
+    let title = `蒙地卡羅分析 (${total} 次)`;
+    if (mc.limits.length > 0) title += ` 良率 ${(mc.yield * 100).toFixed(1)}%`;
+    if (mc.failures > 0) title += `，${mc.failures} 次未收斂`;
+    showWaveformPlot(title, charts);
+}
@@ -0,0 +1,654 @@
+/**
+ * spiceImport.js - SPICE 網表匯入
+ *
+ * 解析 .cir 網表並重建電路圖：元件依序排列在格點上，同一節點的端點以導線或
+ * 同名的網路標籤連接 (排版方式見 layoutSchematic)。
+ */
+
+import { gridSize } from './state.js';
+import { createComponentData, getComponentBounds, updateComponentTerminals } from './components.js';
+import { getComponentDefinition, evaluateExpression } from './componentLibrary.js';
+import { parseSpiceNumber } from './units.js';
+import { waveformFromSpice, evaluateWaveform } from './waveforms.js';
+import { isOpampModel } from './opamp.js';
+import { builtinModels } from './devices.js';
+
+// 每列最多放置的元件數
+const COMPONENTS_PER_ROW = 8;
+// 元件與匯流線之間保留的格數，用來放置接地符號與網路標籤
+const SYMBOL_CLEARANCE = 3;
+// 估算網路標籤文字寬度用的字元寬度 (px)
+const LABEL_CHAR_WIDTH = 8;
+// 子電路展開的最大深度，防止遞迴定義造成無窮迴圈
+const MAX_SUBCKT_DEPTH = 20;
+// 與接地同義的節點名稱
+const GROUND_NAMES = new Set(['0', 'gnd']);
+
+// 獨立電源的暫態函數
+const TRANSIENT_FUNCTIONS = ['PULSE', 'SIN', 'EXP', 'PWL', 'SFFM'];
+
+/**
+ * 將網表文字切成邏輯行：去除註解、合併 + 續行，並保留原始行號供錯誤訊息使用。
+ */
+function splitLogicalLines(text, file) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.replace(/\s(;|\$ ).*$/, '').replace(/^;.*$/, '').trim();
+        if (!line || line.startsWith('*')) return;
+        if (line.startsWith('+') && lines.length > 0) {
+            lines[lines.length - 1].text += ' ' + line.slice(1).trim();
+            return;
+        }
+        lines.push({ text: line, file, line: index + 1 });
+    });
+    return lines;
+}
+
+/**
+ * 切割單行的欄位：函數呼叫 PULSE(...)、{算式}、'算式' 各視為一個欄位，= 獨立成欄位。
+ */
+function tokenize(text) {
+    return text.match(/[A-Za-z_]\w*\s*\([^)]*\)|\([^)]*\)|\{[^}]*\}|'[^']*'|=|[^\s,=()]+/g) || [];
+}
+
+// 將欄位分為位置參數與 key=value 參數
+function splitParameters(tokens) {
+    const positional = [];
+    const named = {};
+    for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i + 1] === '=') {
+            named[tokens[i].toUpperCase()] = tokens[i + 2];
+            i += 2;
+        } else {
+            positional.push(tokens[i]);
+        }
+    }
+    return { positional, named };
+}
+
+/**
+ * 計算數值欄位：支援 SPICE 字尾 (4.7k)、{算式} / '算式' 與 .PARAM 定義的變數。
+ * @param {string} token
+ * @param {object} params - 目前有效的 .PARAM 變數 (鍵為小寫)。
+ * @returns {number}
+ */
+function evaluateValue(token, params) {
+    if (token === undefined) return NaN;
+    let expression = token;
+    const wrapped = /^\{(.*)\}$|^'(.*)'$/.exec(token);
+    if (wrapped) {
+        expression = wrapped[1] ?? wrapped[2];
+    } else if (/^[-+]?\.?\d/.test(token)) {
+        return parseSpiceNumber(token);
+    }
+    // 先將帶字尾的數字換成純數值，再交給模板算式求值
+    const numeric = expression.replace(/(^|[^\w.])(\d*\.?\d+(?:e[-+]?\d+)?)(meg|[tgkmunpf])[a-z]*/gi,
+        (_, lead, number, suffix) => `${lead}${parseSpiceNumber(number + suffix)}`);
+    return Number(evaluateExpression(numeric.toLowerCase(), params));
+}
+
+/**
+ * 解析 .MODEL 卡：.MODEL name type (param=value ...)
+ */
+function parseModelCard(tokens, params) {
+    const [, name, typeToken, ...rest] = tokens;
+    // 型別與參數可能寫成 NMOS(VTO=1 ...) 的形式
+    const typeMatch = /^(\w+)\s*(?:\((.*)\))?$/.exec(typeToken || '');
+    if (!name || !typeMatch) throw new Error('.MODEL 格式應為 .MODEL <名稱> <類型> (參數...)');
+    const paramTokens = tokenize([typeMatch[2] || '', ...rest.map(t => t.replace(/^\((.*)\)$/, '$1'))].join(' '));
+    const { named } = splitParameters(paramTokens);
+    const card = { type: typeMatch[1].toUpperCase(), params: {} };
+    Object.keys(named).forEach(key => { card.params[key] = evaluateValue(named[key], params); });
+    return { name, card };
+}
+
+/**
+ * 解析網表：展開 .INCLUDE、收集 .PARAM / .MODEL / .SUBCKT，並將子電路實例展平成元件卡片。
+ * @param {string} text - 網表內容 (第一行為標題)。
+ * @param {object} [files] - 可供 .INCLUDE 使用的檔案，鍵為檔名。
+ * @returns {{title: string, elements: Array<object>, models: object, analysis: object|null, warnings: Array<string>}}
+ */
+export function parseSpiceNetlist(text, files = {}) {
+    const warnings = [];
+    const where = (line) => `${line.file} 第 ${line.line} 行`;
+    const [titleLine, ...body] = text.split(/\r?\n/);
+
+    // 展開 .INCLUDE (只能引用使用者一併選取的檔案)
+    const expand = (lines, depth) => lines.flatMap(line => {
+        const match = /^\.(include|inc|lib)\s+["']?([^"'\s]+)["']?/i.exec(line.text);
+        if (!match) return [line];
+        const fileName = match[2].split(/[\\/]/).pop();
+        if (files[fileName] === undefined) {
+            warnings.push(`${where(line)}：找不到引用的檔案 ${match[2]}，請一併選取該檔案`);
+            return [];
+        }
+        if (depth > MAX_SUBCKT_DEPTH) throw new Error(`${where(line)}：.INCLUDE 巢狀過深`);
+        return expand(splitLogicalLines(files[fileName], fileName), depth + 1);
+    });
+    const lines = expand(splitLogicalLines(body.join('\n'), 'netlist'), 0);
+
+    // 第一輪：.PARAM、.MODEL、.SUBCKT 定義
+    const params = {};
+    const models = {};
+    const subcircuits = {};
+    const topLevel = [];
+    let analysis = null;
+    let currentSubckt = null;
+    for (const line of lines) {
+        const tokens = tokenize(line.text);
+        const keyword = tokens[0].toLowerCase();
+        try {
+            if (keyword === '.end') break;
+            if (keyword === '.subckt') {
+                const { positional, named } = splitParameters(tokens.slice(2).filter(t => !/^params:$/i.test(t)));
+                currentSubckt = { name: tokens[1].toLowerCase(), ports: positional, defaults: named, lines: [] };
+                subcircuits[currentSubckt.name] = currentSubckt;
+            } else if (keyword === '.ends') {
+                currentSubckt = null;
+            } else if (currentSubckt && !keyword.startsWith('.')) {
+                currentSubckt.lines.push(line);
+            } else if (keyword === '.param' && !currentSubckt) {
+                const { named } = splitParameters(tokens.slice(1));
+                Object.keys(named).forEach(key => { params[key.toLowerCase()] = evaluateValue(named[key], params); });
+            } else if (keyword === '.model') {
+                const { name, card } = parseModelCard(tokens, params);
+                models[name] = card;
+            } else if (['.op', '.tran', '.ac', '.dc'].includes(keyword) && !currentSubckt) {
+                analysis = parseAnalysisCard(keyword, tokens, params);
+            } else if (keyword.startsWith('.')) {
+                warnings.push(`${where(line)}：不支援的指令 ${tokens[0]}，已略過`);
+            } else {
+                topLevel.push(line);
+            }
+        } catch (error) {
+            warnings.push(`${where(line)}：${error.message}`);
+        }
+    }
+    if (currentSubckt) warnings.push(`子電路 ${currentSubckt.name} 缺少 .ENDS`);
+
+    // 第二輪：元件卡片，X 實例遞迴展開
+    const elements = [];
+    const instantiate = (sourceLines, mapNode, scope, path, depth) => {
+        sourceLines.forEach(line => {
+            const tokens = tokenize(line.text);
+            const name = tokens[0];
+            const letter = name[0].toUpperCase();
+            const qualifiedName = path ? `${name}_${path}` : name;
+            try {
+                const { positional, named } = splitParameters(tokens.slice(1).filter(t => !/^params:$/i.test(t)));
+                const subcktName = positional.pop();
+                // 內建運算放大器的子電路 (本程式匯出的網表) 不展開，直接還原成元件
+                if (letter !== 'X' || isOpampModel(subcktName)) {
+                    elements.push({ letter, name: qualifiedName, tokens, mapNode, params: scope, source: where(line) });
+                    return;
+                }
+                const subckt = subcircuits[(subcktName || '').toLowerCase()];
+                if (!subckt) throw new Error(`找不到子電路 ${subcktName}`);
+                if (positional.length !== subckt.ports.length) {
+                    throw new Error(`子電路 ${subckt.name} 需要 ${subckt.ports.length} 個節點，實際為 ${positional.length} 個`);
+                }
+                if (depth >= MAX_SUBCKT_DEPTH) throw new Error('子電路巢狀過深');
+                const ports = {};
+                subckt.ports.forEach((port, i) => { ports[port.toLowerCase()] = mapNode(positional[i]); });
+                const innerScope = { ...scope };
+                [subckt.defaults, named].forEach(values => Object.keys(values).forEach(key => {
+                    innerScope[key.toLowerCase()] = evaluateValue(values[key], scope);
+                }));
+                const instancePath = qualifiedName;
+                const innerMap = (node) => {
+                    const key = node.toLowerCase();
+                    if (GROUND_NAMES.has(key)) return '0';
+                    return ports[key] !== undefined ? ports[key] : `${instancePath}.${node}`;
+                };
+                instantiate(subckt.lines, innerMap, innerScope, instancePath, depth + 1);
+            } catch (error) {
+                warnings.push(`${where(line)}：${error.message}`);
+            }
+        });
+    };
+    const topMap = (node) => (GROUND_NAMES.has(node.toLowerCase()) ? '0' : node);
+    instantiate(topLevel, topMap, params, '', 0);
+
+    return { title: titleLine.trim(), elements, models, analysis, warnings };
+}
+
+// 分析指令卡轉為 simulationSettings 的部分設定
+function parseAnalysisCard(keyword, tokens, params) {
+    const values = tokens.slice(1);
+    const number = (i) => evaluateValue(values[i], params);
+    switch (keyword) {
+        case '.tran': {
+            const positional = values.filter(v => !/^uic$/i.test(v));
+            const maxStep = positional[3] !== undefined ? evaluateValue(positional[3], params) : evaluateValue(positional[0], params);
+            return {
+                analysis: 'tran',
+                tran: { maxStep, stopTime: evaluateValue(positional[1], params), useInitialConditions: values.some(v => /^uic$/i.test(v)) },
+            };
+        }
+        case '.ac':
+            return {
+                analysis: 'ac',
+                ac: { sweepType: values[0].toLowerCase(), points: number(1), startFrequency: number(2), stopFrequency: number(3) },
+            };
+        case '.dc': {
+            const sweep = (offset) => ({
+                componentId: values[offset],
+                parameter: 'value',
+                start: number(offset + 1),
+                stop: number(offset + 2),
+                step: number(offset + 3),
+            });
+            return {
+                analysis: 'dc',
+                dc: {
+                    sweep1: sweep(0),
+                    sweep2: values.length >= 8 ? { enabled: true, ...sweep(4) } : { enabled: false },
+                },
+            };
+        }
+        default:
+            return { analysis: 'op' };
+    }
+}
+
+// 檢查卡片的節點數並回傳 (已對應到頂層名稱的) 節點
+function cardNodes(element, count) {
+    const nodes = element.tokens.slice(1, 1 + count);
+    if (nodes.length < count || nodes.some(n => n === '=' || n.startsWith('('))) {
+        throw new Error(`${element.name} 需要 ${count} 個節點`);
+    }
+    return nodes.map(element.mapNode);
+}
+
+function passiveCard(type, label) {
+    return (element) => {
+        const [n1, n2] = cardNodes(element, 2);
+        const { positional, named } = splitParameters(element.tokens.slice(3));
+        const value = evaluateValue(positional[0] ?? named[element.letter] ?? named.VALUE, element.params);
+        if (!Number.isFinite(value)) throw new Error(`${element.name} 的${label}無法解析`);
+        const properties = { value };
+        if (named.IC !== undefined) properties.ic = evaluateValue(named.IC, element.params);
+        return { type, nodes: { t1: n1, t2: n2 }, properties };
+    };
+}
+
+/**
+ * 在網表的 .MODEL 卡與內建模型中尋找模型；內建模型名稱不分大小寫，並改用內建的寫法。
+ * @returns {{name: string, card: object|null}} - 找不到時 card 為 null。
+ */
+function resolveModel(models, name) {
+    if (models[name]) return { name, card: models[name] };
+    const builtin = Object.keys(builtinModels).find(key => key.toLowerCase() === name.toLowerCase());
+    return builtin ? { name: builtin, card: builtinModels[builtin] } : { name, card: null };
+}
+
+/**
+ * 受控電源卡片：E/G 以兩個控制節點、F/H 以控制電壓源的名稱為輸入，其後為線性增益。
+ * 控制電壓源在子電路中時加上相同的實例路徑；實際元件編號於全部轉換後再對應 (見 importSpiceNetlist)。
+ */
+function controlledSourceCard(type, voltageControlled) {
+    return (element) => {
+        const [p, n, cp, cn] = cardNodes(element, voltageControlled ? 4 : 2);
+        const fields = element.tokens.slice(voltageControlled ? 5 : 3);
+        if (/^(poly|value|table|laplace)/i.test(fields[0] ?? '')) {
+            throw new Error(`${element.name} 的 ${fields[0]} 寫法不支援，只能匯入線性增益`);
+        }
+        if (voltageControlled) {
+            const value = evaluateValue(fields[0], element.params);
+            if (!Number.isFinite(value)) throw new Error(`${element.name} 的增益無法解析`);
+            return { type, nodes: { p, n, cp, cn }, properties: { value } };
+        }
+        const [control, gain] = fields;
+        const value = evaluateValue(gain, element.params);
+        if (!control || !Number.isFinite(value)) throw new Error(`${element.name} 需要控制電壓源名稱與增益`);
+        const instanceSuffix = element.name.slice(element.tokens[0].length);
+        return { type, nodes: { p, n }, properties: { control: control + instanceSuffix, value } };
+    };
+}
+
+/**
+ * 獨立電源的數值欄位：[DC] <值> [AC <振幅> [<相位>]] [暫態函數]。
+ * 暫態函數無法解析時提出警告並只保留直流值。
+ */
+function sourceProperties(element, warn) {
+    const tokens = element.tokens.slice(3);
+    const properties = { value: 0 };
+    let hasDc = false;
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i].toUpperCase();
+        const fn = TRANSIENT_FUNCTIONS.find(f => token.startsWith(f));
+        if (token === 'DC') {
+            properties.value = evaluateValue(tokens[++i], element.params);
+            hasDc = true;
+        } else if (token === 'AC') {
+            properties.acMagnitude = evaluateValue(tokens[++i], element.params);
+            if (tokens[i + 1] !== undefined && /^[-+.\d{']/.test(tokens[i + 1])) {
+                properties.acPhase = evaluateValue(tokens[++i], element.params);
+            }
+        } else if (fn) {
+            try {
+                // 不支援 PWL FILE= 等沒有括號引數的寫法
+                if (!tokens[i].includes('(')) throw new Error(`${fn} 缺少括號引數`);
+                const args = tokenize(tokens[i].slice(tokens[i].indexOf('(') + 1, tokens[i].lastIndexOf(')')))
+                    .map(arg => evaluateValue(arg, element.params));
+                if (args.some(arg => !Number.isFinite(arg))) throw new Error(`${fn} 的引數無法解析`);
+                properties.waveform = waveformFromSpice(fn, args);
+            } catch (error) {
+                warn(`${element.name} 的暫態函數無法匯入 (${error.message})，已以直流值匯入`);
+            }
+        } else if (i === 0) {
+            properties.value = evaluateValue(tokens[i], element.params);
+            hasDc = true;
+        }
+    }
+    // 未指定直流值時，直流分析採用波形在 t = 0 的值 (與 SPICE 相同)
+    if (!hasDc && properties.waveform) properties.value = evaluateWaveform(properties.waveform, 0);
+    return properties;
+}
+
+// 各元件卡片的轉換規則：回傳 { type, nodes: {端子: 節點}, properties }
+const elementCards = {
+    R: passiveCard('Resistor', '阻值'),
+    C: passiveCard('Capacitor', '電容值'),
+    L: passiveCard('Inductor', '電感值'),
+    // V<name> <n+> <n-> <數值欄位>；DC_Source 的 t2 為正端
+    V: (element, warn) => {
+        const [plus, minus] = cardNodes(element, 2);
+        return { type: 'DC_Source', nodes: { t1: minus, t2: plus }, properties: sourceProperties(element, warn) };
+    },
+    // I<name> <n+> <n-> <數值欄位>；電流由 n+ 經電源流向 n-，即 Current_Source 的 t1 → t2
+    I: (element, warn) => {
+        const [plus, minus] = cardNodes(element, 2);
+        return { type: 'Current_Source', nodes: { t1: plus, t2: minus }, properties: sourceProperties(element, warn) };
+    },
+    // D<name> <陽極> <陰極> <model> [area]；依模型名稱判斷是否為 LED 或稽納二極體 (只影響符號)
+    D: (element, warn, models) => {
+        const [anode, cathode] = cardNodes(element, 2);
+        if (!element.tokens[3]) throw new Error(`${element.name} 缺少模型名稱`);
+        const { name: model, card } = resolveModel(models, element.tokens[3]);
+        let type = 'Diode';
+        if (/led/i.test(model)) type = 'LED';
+        else if (/zen|bzx|bzt|^dz/i.test(model)) type = 'Zener';
+        if (!card) warn(`${element.name} 的模型 ${model} 未定義，模擬時使用內建的預設參數`);
+        return { type, nodes: { anode, cathode }, properties: { model } };
+    },
+    // Q<name> <c> <b> <e> [<基板>] <model> [area]；類型取自 .MODEL (NPN/PNP)
+    Q: (element, warn, models) => {
+        const [collector, base, emitter] = cardNodes(element, 3);
+        const { positional } = splitParameters(element.tokens.slice(4));
+        // 第四個節點 (基板) 為選用：第一個欄位不是已定義的模型且其後還有非數值 (area) 的欄位時視為基板
+        const hasSubstrate = positional.length > 1 && !resolveModel(models, positional[0]).card && !/^[-+.\d]/.test(positional[1]);
+        if (!positional[hasSubstrate ? 1 : 0]) throw new Error(`${element.name} 缺少模型名稱`);
+        if (hasSubstrate) warn(`${element.name} 的基板節點 ${positional[0]} 不支援，已忽略`);
+        const { name: model, card } = resolveModel(models, positional[hasSubstrate ? 1 : 0]);
+        const isPnp = card ? card.type === 'PNP' : /pnp/i.test(model);
+        if (!card) warn(`${element.name} 的模型 ${model} 未定義，視為 ${isPnp ? 'PNP' : 'NPN'} 並使用內建的預設參數`);
+        const type = isPnp ? 'PNP' : 'NPN';
+        return { type, nodes: { collector, base, emitter }, properties: { model } };
+    },
+    // E/G<name> <n+> <n-> <nc+> <nc-> <增益>；F/H<name> <n+> <n-> <Vname> <增益>
+    E: controlledSourceCard('VCVS', true),
+    G: controlledSourceCard('VCCS', true),
+    F: controlledSourceCard('CCCS', false),
+    H: controlledSourceCard('CCVS', false),
+    // X<name> <vp> <vn> <out> <vdd> <vss> OPAMP_xxx [PARAMS:] [A=] [GBW=]；元件編號以 U 開頭 (XU1 → U1、X1 → U1)
+    X: (element) => {
+        const [vp, vn, out, vdd, vss] = cardNodes(element, 5);
+        const { positional, named } = splitParameters(element.tokens.slice(6).filter(t => !/^params:$/i.test(t)));
+        const properties = { model: positional[0].toUpperCase() };
+        if (named.A !== undefined) properties.gain = evaluateValue(named.A, element.params);
+        if (named.GBW !== undefined) properties.gbw = evaluateValue(named.GBW, element.params);
+        // 其餘部分不是 U 開頭時補上 U (X1 → U1)，編號才會與元件庫的前綴一致
+        const rest = element.name.slice(1);
+        const designator = /^u/i.test(rest) ? `U${rest.slice(1)}` : `U${rest}`;
+        return { type: 'OpAmp', nodes: { vp, vn, out, vdd, vss }, properties, designator };
+    },
+    // M<name> <d> <g> <s> <b> <model> [W=] [L=]；通道類型取自 .MODEL，基體與源極不同時啟用獨立基體端點
+    M: (element, warn, models) => {
+        const [drain, gate, source, bulk] = cardNodes(element, 4);
+        const { positional, named } = splitParameters(element.tokens.slice(5));
+        if (!positional[0]) throw new Error(`${element.name} 缺少模型名稱`);
+        const { name: model, card } = resolveModel(models, positional[0]);
+        const isPmos = card ? card.type === 'PMOS' : /^pmos/i.test(model);
+        if (!card) warn(`${element.name} 的模型 ${model} 未定義，視為 ${isPmos ? 'PMOS' : 'NMOS'}`);
+        const type = isPmos ? 'PMOS' : 'NMOS';
+        const properties = { model };
+        [['W', 'width', '通道寬度'], ['L', 'length', '通道長度']].forEach(([key, property, label]) => {
+            if (named[key] === undefined) return;
+            const value = evaluateValue(named[key], element.params);
+            if (!(value > 0)) throw new Error(`${element.name} 的${label} ${named[key]} 無法解析`);
+            properties[property] = value;
+        });
+        const nodes = { drain, gate, source };
+        if (bulk !== source) {
+            properties.separateBulk = true;
+            nodes.bulk = bulk;
+        }
+        return { type, nodes, properties };
+    },
+};
+
+/**
+ * 匯入 SPICE 網表並產生電路圖資料。
+ * @param {string} text - 網表內容。
+ * @param {object} [files] - 可供 .INCLUDE 使用的檔案，鍵為檔名。
+ * @returns {{components: Array<object>, wires: Array<object>, models: object, analysis: object|null, warnings: Array<string>}}
+ */
+export function importSpiceNetlist(text, files = {}) {
+    const { elements, models, analysis, warnings } = parseSpiceNetlist(text, files);
+
+    const parts = [];
+    const usedIds = new Set();
+    const idOfName = {};
+    elements.forEach(element => {
+        const convert = elementCards[element.letter];
+        if (!convert) {
+            warnings.push(`${element.source}：無法辨識的元件 (${element.name})，已略過`);
+            return;
+        }
+        try {
+            // 轉換規則可另外指定元件編號 (designator)，預設沿用卡片名稱
+            const { designator = element.name, ...part } = convert(element, (message) => warnings.push(`${element.source}：${message}`), models);
+            if (!getComponentDefinition(part.type)) throw new Error(`元件庫中沒有 ${part.type}`);
+            // SPICE 名稱不分大小寫，重複時加上序號
+            let id = designator;
+            for (let n = 2; usedIds.has(id.toLowerCase()); n++) id = `${designator}_${n}`;
+            usedIds.add(id.toLowerCase());
+            idOfName[element.name.toLowerCase()] = id;
+            parts.push({ id, source: element.source, ...part });
+        } catch (error) {
+            warnings.push(`${element.source}：${error.message}`);
+        }
+    });
+
+    // F/H 的控制電壓源改用匯入後的元件編號
+    parts.filter(part => part.properties.control !== undefined).forEach(part => {
+        const id = idOfName[part.properties.control.toLowerCase()];
+        if (!id) warnings.push(`${part.source}：${part.id} 的控制電壓源 ${part.properties.control} 不存在`);
+        part.properties.control = id ?? part.properties.control;
+    });
+
+    const { components, wires } = layoutSchematic(parts, usedIds);
+    if (!components.some(c => c.type === 'Ground')) {
+        warnings.push('網表中沒有節點 0，請自行放置接地符號');
+    }
+    return { components, wires, models, analysis, warnings };
+}
+
+/**
+ * 找出匯流線可用的最內側高度 (0 為最靠近元件)：同一高度的匯流線不能重疊，
+ * 內側的匯流線不能橫跨本節點的拉線，外側節點的拉線也不能穿過本匯流線。
+ * @param {{left: number, right: number, drops: Array<number>}} bus
+ * @param {Array<object>} placedBuses - 同一列同一側已決定高度的匯流線。
+ * @returns {number|null} - 找不到不交叉的高度時為 null。
+ */
+function findLane(bus, placedBuses) {
+    const spans = (other, x) => x >= other.left && x <= other.right;
+    const outermost = placedBuses.reduce((max, other) => Math.max(max, other.lane), -1);
+    for (let lane = 0; lane <= outermost + 1; lane++) {
+        const fits = placedBuses.every(other => {
+            if (other.lane === lane) return other.right < bus.left || other.left > bus.right;
+            if (other.lane < lane) return !bus.drops.some(x => spans(other, x));
+            return !other.drops.some(x => spans(bus, x));
+        });
+        if (fits) return lane;
+    }
+    return null;
+}
+
+/**
+ * 排列元件並連接同一節點的端點。
+ *
+ * 畫布會在導線交叉處加入接點 (見 canvas.js 的穿透式連接)，交叉即相連，因此不同節點的導線不能交叉。
+ * 元件每列最多 COMPONENTS_PER_ROW 個；只出現在同一列同一側 (元件上方或下方) 的節點
+ * 以垂直拉線接到該側的水平匯流線，匯流線右端再接上以節點命名的網路標籤；
+ * 其餘節點 (跨列、跨側或找不到不交叉的匯流線高度) 改在每個端點接上以節點命名的網路標籤，
+ * 節點 0 的端點則接上接地符號。
+ */
+function layoutSchematic(parts, usedIds) {
+    const symbols = [];
+    const wires = [];
+    const addWire = (points) => wires.push({ id: `w${wires.length + 1}`, points });
+    const refOf = (component, terminalId) => ({ componentId: component.id, terminalId });
+
+    // 建立元件 (先放在原點，排版時再移動)
+    const placed = parts.map(part => {
+        const component = createComponentData(part.type, 0, 0);
+        Object.assign(component, part.properties, { id: part.id });
+        component.rotation = 0;
+        return { component, nodes: part.nodes };
+    });
+    const terminalsOfNet = {};
+    placed.forEach(({ nodes }) => Object.values(nodes).forEach(net => {
+        terminalsOfNet[net] = (terminalsOfNet[net] || 0) + 1;
+    }));
+    // 只有一個端點且不是接地的節點不需要連接
+    const needsConnection = (net) => net === '0' || terminalsOfNet[net] > 1;
+
+    // 建立接地符號或網路標籤，旋轉後將其端點移到 end；回傳連接用的端點參照
+    const placeSymbol = (net, rotation, end) => {
+        const type = net === '0' ? 'Ground' : 'NetLabel';
+        let symbol;
+        do {
+            symbol = createComponentData(type, 0, 0);
+        } while (usedIds.has(symbol.id.toLowerCase()));
+        usedIds.add(symbol.id.toLowerCase());
+        if (type === 'NetLabel') symbol.netName = net;
+        symbol.rotation = rotation;
+        updateComponentTerminals(symbol);
+
+        const symbolTerminal = Object.keys(symbol.terminals)[0];
+        symbol.x += end.x - symbol.terminals[symbolTerminal].x;
+        symbol.y += end.y - symbol.terminals[symbolTerminal].y;
+        updateComponentTerminals(symbol);
+        symbols.push(symbol);
+        return refOf(symbol, symbolTerminal);
+    };
+
+    // 端點往外拉一格短線，末端接上接地符號或網路標籤
+    const attachSymbol = (component, termId, side, net) => {
+        const terminal = component.terminals[termId];
+        const end = { x: terminal.x, y: terminal.y + (side === 'above' ? -gridSize : gridSize) };
+        // 符號的端點在其上方，元件上方的端點將符號轉 180 度朝上
+        const symbolRef = placeSymbol(net, side === 'above' ? 180 : 0, end);
+        addWire([
+            { x: terminal.x, y: terminal.y, terminal: refOf(component, termId) },
+            { x: end.x, y: end.y, terminal: symbolRef },
+        ]);
+    };
+
+    // 匯流線右端延長一格接上橫放的網路標籤 (轉 270 度，本體朝右)，保留網表中的節點名稱；
+    // 回傳標籤與文字需要的寬度，排版時併入匯流線的範圍，避免與其他匯流線或拉線重疊
+    const busLabelSpan = (net) => Math.ceil((net.length * LABEL_CHAR_WIDTH) / gridSize) * gridSize + gridSize * 3;
+
+    // 第一輪：決定每列元件的水平位置，並依節點與所在側分組端點
+    const rows = [];
+    for (let start = 0; start < placed.length; start += COMPONENTS_PER_ROW) {
+        const row = placed.slice(start, start + COMPONENTS_PER_ROW);
+
+        // 相對於元件中心的上下範圍 (含端點)，用來決定列高
+        let extentAbove = 0;
+        let extentBelow = 0;
+        let x = gridSize * 2;
+        row.forEach(entry => {
+            const { component } = entry;
+            const moveTo = (cx, cy) => {
+                const dx = cx - component.x;
+                const dy = cy - component.y;
+                component.x = cx;
+                component.y = cy;
+                Object.values(component.terminals).forEach(t => { t.x += dx; t.y += dy; });
+            };
+            const bounds = getComponentBounds(component);
+            moveTo(Math.ceil((x - bounds.x) / gridSize) * gridSize, 0);
+            const shifted = getComponentBounds(component);
+            const terminalYs = Object.values(component.terminals).map(t => t.y);
+            extentAbove = Math.max(extentAbove, -shifted.y, ...terminalYs.map(y => -y));
+            extentBelow = Math.max(extentBelow, shifted.y + shifted.height, ...terminalYs);
+            x = Math.ceil((shifted.x + shifted.width) / gridSize) * gridSize + gridSize * 4;
+            entry.moveTo = moveTo;
+        });
+
+        const groups = {};
+        row.forEach(({ component, nodes }) => Object.keys(nodes).forEach(termId => {
+            const net = nodes[termId];
+            if (!needsConnection(net)) return;
+            const side = component.terminals[termId].y < component.y ? 'above' : 'below';
+            const key = `${side}|${net}`;
+            (groups[key] = groups[key] || { side, net, members: [] }).members.push({ component, termId });
+        }));
+        rows.push({ row, extentAbove, extentBelow, groups: Object.values(groups) });
+    }
+    const groupsOfNet = {};
+    rows.forEach(({ groups }) => groups.forEach(group => { groupsOfNet[group.net] = (groupsOfNet[group.net] || 0) + 1; }));
+
+    // 第二輪：挑選匯流線高度並決定各列的垂直位置
+    let rowTop = 0;
+    rows.forEach(({ row, extentAbove, extentBelow, groups }) => {
+        const buses = [];
+        const labeled = [];
+        groups.forEach(group => {
+            if (group.net === '0' || groupsOfNet[group.net] > 1 || group.members.length < 2) {
+                labeled.push(group);
+                return;
+            }
+            const drops = group.members.map(({ component, termId }) => component.terminals[termId].x);
+            buses.push({ ...group, drops, left: Math.min(...drops), right: Math.max(...drops) + busLabelSpan(group.net) });
+        });
+        // 跨度小的匯流線先放，較容易巢狀排在內側
+        buses.sort((a, b) => (a.right - a.left) - (b.right - b.left));
+        const routed = [];
+        buses.forEach(bus => {
+            const lane = findLane(bus, routed.filter(other => other.side === bus.side));
+            if (lane === null) {
+                labeled.push(bus);
+            } else {
+                routed.push({ ...bus, lane });
+            }
+        });
+
+        const laneCount = (side) => routed.filter(bus => bus.side === side).reduce((max, bus) => Math.max(max, bus.lane + 1), 0);
+        const above = Math.ceil(extentAbove / gridSize) * gridSize;
+        const below = Math.ceil(extentBelow / gridSize) * gridSize;
+        const centerY = rowTop + (laneCount('above') + SYMBOL_CLEARANCE) * gridSize + above;
+        row.forEach(({ component, moveTo }) => moveTo(component.x, centerY));
+
+        routed.forEach(bus => {
+            const y = bus.side === 'above'
+                ? centerY - above - (SYMBOL_CLEARANCE + bus.lane) * gridSize
+                : centerY + below + (SYMBOL_CLEARANCE + bus.lane) * gridSize;
+            bus.members.forEach(({ component, termId }) => {
+                const terminal = component.terminals[termId];
+                addWire([{ x: terminal.x, y: terminal.y, terminal: refOf(component, termId) }, { x: terminal.x, y }]);
+            });
+            const points = [...new Set(bus.drops)].sort((a, b) => a - b).map(x => ({ x, y }));
+            const end = { x: points[points.length - 1].x + gridSize, y };
+            addWire([...points, { ...end, terminal: placeSymbol(bus.net, 270, end) }]);
+        });
+        labeled.forEach(group => group.members.forEach(({ component, termId }) => attachSymbol(component, termId, group.side, group.net)));
+
+        rowTop = centerY + below + (SYMBOL_CLEARANCE + laneCount('below') + 1) * gridSize;
+    });
+
+    return { components: [...placed.map(entry => entry.component), ...symbols], wires };
+}
@@ -1,4 +1,6 @@
 // 全域狀態管理
+import { createParametricSweep } from './parametricSweep.js';
+
 export const svg = document.getElementById('main-canvas');
 export const svgNS = "http://www.w3.org/2000/svg";
 export const gridSize = 20;
@@ -8,6 +10,10 @@ export let circuit = {
     components: [],
     // Wire 數據結構升級：不再是 from/to，而是一個 points 陣列
     wires: [],
+    // 參數掃描設定隨電路保存
+    parametricSweep: createParametricSweep(),
+    // 使用者定義或由網表匯入的 .MODEL 卡：{ 名稱: { type: 'NMOS', params: { VTO, KP, ... } } }
+    models: {},
 };
 
 // 應用程式當前狀態
@@ -23,12 +29,49 @@ export let state = {
     viewBox: { x: 0, y: 0, w: 0, h: 0 },
     // 移除 wireStartTerminal，改為追蹤當前路徑
     currentWirePoints: [], // 新增：正在繪製的線路點集
+    // 目前的選取 (修改請經由 selection.js)
     selectedComponentIds: [],
+    selectedWireIds: [],
+    marquee: null, // 框選中：{ start, end, additive }
+    labelDrag: null, // 拖曳元件文字中：{ componentId, key, start, original }
+    cursorPosition: null, // 游標最後所在的畫布座標 (貼上位置)
     wireDirection: 'UNDETERMINED', // << 新增：用於決定佈線方向
 };
 
+// 模擬設定：目前選擇的分析類型與各分析的參數
+export let simulationSettings = {
+    analysis: 'op', // 'op', 'dc', 'tran', 'ac', 'mc'
+    tran: {
+        stopTime: 1e-3,
+        maxStep: 1e-5,
+        method: 'trap', // 'trap' 或 'euler'
+        useInitialConditions: false,
+    },
+    dc: {
+        // 主掃描 (內層迴圈) 與選用的第二掃描 (外層迴圈)
+        sweep1: { componentId: '', parameter: 'value', start: 0, stop: 5, step: 0.1 },
+        sweep2: { enabled: false, componentId: '', parameter: 'value', start: 0, stop: 5, step: 1 },
+    },
+    ac: {
+        sweepType: 'dec', // 'dec', 'oct', 'lin'
+        points: 20, // dec/oct 為每區間點數，lin 為總點數
+        startFrequency: 1,
+        stopFrequency: 1e6,
+        // 節點參照：網路標籤名稱、0 或「元件.端子」(見 resolveNodeReference)
+        outputNode: '',
+        referenceNode: '0',
+    },
+    monteCarlo: {
+        runs: 200,
+        seed: 1,
+        distribution: 'uniform', // 'uniform' 或 'gaussian'
+        // 良率條件：節點電壓須落在 [min, max] 內，空白表示不限制
+        limits: [],
+    },
+};
+
 // 用於產生元件唯一ID的計數器
-export let elementCounter = { R: 0, C: 0, L: 0, V: 0, M: 0 };
+export let elementCounter = { R: 0, C: 0, L: 0, V: 0, I: 0, M: 0, Q: 0, U: 0, E: 0, F: 0, G: 0, H: 0, GND: 0 };
 
 // 儲存最後一次生成網表時的節點，用於結果顯示
 export let lastGeneratedNodes = {};
@@ -0,0 +1,123 @@
+/**
+ * transient.js - 暫態分析
+ *
+ * 以固定最大步長推進時間，電容與電感使用後向歐拉或梯形法伴隨模型；
+ * 每個時間點以 Newton-Raphson 求解，未收斂時將步長減半重試。
+ * 電源波形的斷點 (脈波邊緣、PWL 轉折) 一定會成為時間點，不會被較大的步長跨過。
+ */
+
+import { getDeviceModel } from './devices.js';
+import { solveNewtonRaphson, solveOperatingPoint, extractSolution } from './mna.js';
+
+// 單次分析允許的最大時間點數，避免誤設步長造成瀏覽器長時間無回應
+const MAX_TIMEPOINTS = 200000;
+// 步長縮減的下限 (相對於最大步長)
+const MIN_STEP_RATIO = 1e-6;
+
+/**
+ * 執行暫態分析。
+ * @param {object} model - buildCircuitModel 產生的電路模型。
+ * @param {object} settings - { stopTime, maxStep, method: 'trap'|'euler', useInitialConditions }
+ * @returns {{time: Array<number>, voltages: object, currents: object}}
+ */
+export function runTransient(model, settings) {
+    const stopTime = Number(settings.stopTime);
+    const maxStep = Number(settings.maxStep);
+    if (!(stopTime > 0) || !(maxStep > 0)) {
+        throw new Error('暫態分析的停止時間與最大步長必須大於 0');
+    }
+    if (stopTime / maxStep > MAX_TIMEPOINTS) {
+        throw new Error(`時間點過多 (超過 ${MAX_TIMEPOINTS})，請加大最大步長`);
+    }
+
+    const nodeCount = model.nodeNames.length;
+    const ctx = {
+        mode: 'tran',
+        time: 0,
+        dt: maxStep,
+        method: settings.method === 'euler' ? 'euler' : 'trap',
+        useInitialConditions: !!settings.useInitialConditions,
+        sourceFactor: 1,
+        nodeCount,
+        state: {},
+        deviceState: {},
+    };
+
+    // t = 0：以電源在 t = 0 的值求直流工作點作為起點；UIC 時電容電壓與電感電流改為固定在元件初始條件
+    let x = solveOperatingPoint(model, undefined, 0, ctx.useInitialConditions).solution;
+    model.elements.forEach(el => {
+        const device = getDeviceModel(el.type);
+        if (device.initialState) ctx.state[el.id] = device.initialState(el, x, ctx);
+    });
+
+    // 結果一律由 t = 0 開始，與 .TRAN 的輸出時間軸一致
+    const result = createResult(model);
+    appendTimepoint(result, model, 0, x);
+
+    const breakpoints = collectBreakpoints(model, stopTime);
+    let nextBreakpoint = 0;
+    let time = 0;
+    let step = maxStep;
+    let firstStep = true;
+    while (time < stopTime * (1 - 1e-12)) {
+        // 略過已到達或距離過近的斷點
+        while (nextBreakpoint < breakpoints.length && breakpoints[nextBreakpoint] <= time + maxStep * MIN_STEP_RATIO) {
+            nextBreakpoint++;
+        }
+        const limit = nextBreakpoint < breakpoints.length ? breakpoints[nextBreakpoint] : stopTime;
+        const dt = Math.min(step, limit - time);
+        ctx.time = time + dt;
+        ctx.dt = dt;
+        // 起始點的電容電流未知，第一步一律使用後向歐拉
+        const method = ctx.method;
+        if (firstStep) ctx.method = 'euler';
+
+        let solution;
+        try {
+            solution = solveNewtonRaphson(model, ctx, x).solution;
+        } catch (error) {
+            ctx.method = method;
+            step /= 2;
+            if (step < maxStep * MIN_STEP_RATIO) {
+                throw new Error(`暫態分析在 t=${time.toExponential(3)}s 無法收斂：${error.message}`);
+            }
+            continue;
+        }
+
+        model.elements.forEach(el => {
+            const device = getDeviceModel(el.type);
+            if (device.acceptTimestep) ctx.state[el.id] = device.acceptTimestep(el, solution, ctx);
+        });
+        ctx.method = method;
+        firstStep = false;
+        time = ctx.time;
+        x = solution;
+        appendTimepoint(result, model, time, x);
+        step = Math.min(step * 2, maxStep);
+    }
+    return result;
+}
+
+function collectBreakpoints(model, stopTime) {
+    const times = model.elements.flatMap(el => {
+        const device = getDeviceModel(el.type);
+        return device.breakpoints ? device.breakpoints(el, stopTime) : [];
+    });
+    return [...new Set(times)].sort((a, b) => a - b);
+}
+
+function createResult(model) {
+    const result = { time: [], voltages: {}, currents: {} };
+    model.nodeNames.forEach(name => { result.voltages[name] = []; });
+    model.elements.forEach(el => {
+        if (el.branch !== -1) result.currents[el.id] = [];
+    });
+    return result;
+}
+
+function appendTimepoint(result, model, time, x) {
+    const { voltages, currents } = extractSolution(model, x);
+    result.time.push(time);
+    Object.keys(result.voltages).forEach(name => result.voltages[name].push(voltages[name]));
+    Object.keys(result.currents).forEach(id => result.currents[id].push(currents[id]));
+}
@@ -1,8 +1,82 @@
-import { state, circuit } from './state.js';
+import { state, circuit, simulationSettings } from './state.js';
+import { buildNodeMap, netLabelName, resolveNodeReference } from './circuitModel.js';
+import { getSweepableParameters, getParameterUnit } from './dcSweep.js';
+import { execute, setPropertyCommand, setModelCommand, compositeCommand } from './history.js';
+import { render } from './canvas.js';
+import { getComponentDefinition } from './componentLibrary.js';
+import { parseEngineering, formatEngineering } from './units.js';
+import { builtinModels } from './devices.js';
+import { listOpampModels, getOpampSettings } from './opamp.js';
+import { listWaveformTypes, createWaveform, validateWaveform, sampleWaveform, parsePwlCsv } from './waveforms.js';
 
 const propertiesPanel = document.getElementById('properties-panel');
 const noSelectionDiv = document.getElementById('no-selection');
 
+// 數值以工程記號顯示 (4700 → 4.7k)；匯入時保留的字串原樣顯示
+const formatField = (value, unit = '') => (typeof value === 'number' ? formatEngineering(value, unit) : String(value ?? ''));
+
+// 在欄位下方顯示錯誤訊息；message 為空字串時清除
+function setFieldError(input, message) {
+    input.classList.toggle('invalid', !!message);
+    let error = input.nextElementSibling;
+    if (!error || !error.classList.contains('field-error')) {
+        if (!message) return;
+        error = document.createElement('div');
+        error.className = 'field-error';
+        input.insertAdjacentElement('afterend', error);
+    }
+    error.textContent = message;
+    error.hidden = !message;
+}
+
+/**
+ * 數值欄位：接受 4.7k、10u、1meg 等工程記號。
+ * 無法解析或 apply 拋出錯誤 (如數值超出範圍) 時在欄位下方顯示原因，不套用。
+ * @param {HTMLInputElement} input
+ * @param {string|function(): string} unit - 可接受的單位；依其他設定變動時傳入函式。
+ * @param {function(number, string): void} apply - 收到解析後的數值與原始文字。
+ */
+function bindNumberField(input, unit, apply) {
+    input.addEventListener('change', (e) => {
+        try {
+            apply(parseEngineering(e.target.value, typeof unit === 'function' ? unit() : unit), e.target.value.trim());
+            setFieldError(input, '');
+        } catch (error) {
+            setFieldError(input, error.message);
+        }
+    });
+}
+
+// .MODEL 編輯器顯示的參數 (依模型類型)；未列出的參數仍保留在模型卡中
+const MODEL_PARAMETERS = {
+    D: [
+        { key: 'IS', label: '飽和電流 IS', unit: 'A' },
+        { key: 'N', label: '發射係數 N', unit: '' },
+        { key: 'RS', label: '串聯電阻 RS', unit: 'Ω' },
+        { key: 'BV', label: '崩潰電壓 BV', unit: 'V' },
+        { key: 'CJO', label: '零偏接面電容 CJO', unit: 'F' },
+        { key: 'TT', label: '渡越時間 TT', unit: 's' },
+    ],
+};
+MODEL_PARAMETERS.NPN = MODEL_PARAMETERS.PNP = [
+    { key: 'IS', label: '飽和電流 IS', unit: 'A' },
+    { key: 'BF', label: '順向電流增益 BF', unit: '' },
+    { key: 'BR', label: '反向電流增益 BR', unit: '' },
+    { key: 'VAF', label: 'Early 電壓 VAF', unit: 'V' },
+    { key: 'IKF', label: '高注入轉折電流 IKF', unit: 'A' },
+    { key: 'CJE', label: 'B-E 接面電容 CJE', unit: 'F' },
+    { key: 'CJC', label: 'B-C 接面電容 CJC', unit: 'F' },
+    { key: 'TF', label: '順向渡越時間 TF', unit: 's' },
+];
+
+// 依模型類型使用 .MODEL 的元件
+const MODEL_TYPES = { Diode: 'D', Zener: 'D', LED: 'D', NPN: 'NPN', PNP: 'PNP' };
+
+const requirePositive = (value, name) => {
+    if (!(value > 0)) throw new Error(`${name}必須大於 0`);
+    return value;
+};
+
 // 更新按鈕的 활성화 狀態
 export function updateButtonStates() {
     document.querySelectorAll('.component-btn.active').forEach(b => b.classList.remove('active'));
@@ -19,45 +93,672 @@ export function updateButtonStates() {
     }
 }
 
+// 依元件庫建立左側的元件按鈕
+export function buildComponentToolbar(definitions) {
+    const toolbar = document.getElementById('component-toolbar');
+    toolbar.innerHTML = '';
+    definitions.forEach(definition => {
+        const btn = document.createElement('button');
+        btn.classList.add('component-btn');
+        btn.dataset.type = definition.metadata.id;
+        btn.textContent = definition.metadata.name;
+        if (definition.metadata.description) btn.title = definition.metadata.description;
+        toolbar.appendChild(btn);
+    });
+}
+
 // 更新屬性面板
 export function updatePropertiesPanel() {
     propertiesPanel.innerHTML = '';
     
-    if (state.selectedComponentIds.length === 0) {
+    const componentCount = state.selectedComponentIds.length;
+    const wireCount = state.selectedWireIds.length;
+    if (componentCount === 0 && wireCount === 0) {
         propertiesPanel.appendChild(noSelectionDiv);
-    } else if (state.selectedComponentIds.length === 1) {
+    } else if (componentCount === 0 && wireCount === 1) {
+        const wire = circuit.wires.find(w => w.id === state.selectedWireIds[0]);
+        if (wire) {
+            const ends = [wire.points[0], wire.points[wire.points.length - 1]]
+                .map(p => (p.terminal ? `${p.terminal.componentId}.${p.terminal.terminalId}` : `(${p.x}, ${p.y})`));
+            propertiesPanel.innerHTML = `
+                <div><label>ID:</label> <input type="text" value="${wire.id}" readonly></div>
+                <div><label>類型:</label> <input type="text" value="導線" readonly></div>
+                <div><label>起點:</label> <input type="text" value="${ends[0]}" readonly></div>
+                <div><label>終點:</label> <input type="text" value="${ends[1]}" readonly></div>
+            `;
+        }
+    } else if (componentCount === 1 && wireCount === 0) {
         const component = circuit.components.find(c => c.id === state.selectedComponentIds[0]);
         if (component) {
             // 根據元件類型顯示不同的屬性
-            if (component.type === 'NMOS' || component.type === 'PMOS') {
+            if (component.type === 'Ground') {
+                propertiesPanel.innerHTML = `
+                    <div><label>ID:</label> <input type="text" value="${component.id}" readonly></div>
+                    <div><label>類型:</label> <input type="text" value="接地 (節點 0)" readonly></div>
+                `;
+            } else if (component.type === 'NetLabel') {
+                propertiesPanel.innerHTML = `
+                    <div><label>ID:</label> <input type="text" value="${component.id}" readonly></div>
+                    <div><label>網路名稱:</label> <input type="text" id="prop-net-name" placeholder="如 out、vdd；0 為接地"></div>
+                `;
+                const nameInput = document.getElementById('prop-net-name');
+                nameInput.value = component.netName || '';
+                nameInput.addEventListener('change', (e) => {
+                    execute(setPropertyCommand(component, 'netName', e.target.value.trim()));
+                    render();
+                });
+            } else if (MODEL_TYPES[component.type]) {
                 propertiesPanel.innerHTML = `
                     <div><label>ID:</label> <input type="text" value="${component.id}" readonly></div>
                     <div><label>類型:</label> <input type="text" value="${component.type}" readonly></div>
-                    <div><label>寬度 (W):</label> <input type="text" id="prop-width" value="${component.width || '10u'}" placeholder="10u"></div>
-                    <div><label>長度 (L):</label> <input type="text" id="prop-length" value="${component.length || '1u'}" placeholder="1u"></div>
+                `;
+                renderModelEditor(component, MODEL_TYPES[component.type]);
+            } else if (component.type === 'OpAmp') {
+                const settings = getOpampSettings(component);
+                const models = listOpampModels();
+                const selected = models.find(m => m.key === settings.model);
+                propertiesPanel.innerHTML = `
+                    <div><label>ID:</label> <input type="text" value="${component.id}" readonly></div>
+                    <div><label>模型:</label> <select id="prop-opamp-model">${models.map(m => `<option value="${m.key}">${m.name}</option>`).join('')}</select></div>
+                    <div class="field-hint">${selected.description}</div>
+                    <div><label>開迴路增益 A:</label> <input type="text" id="prop-gain" value="${formatField(settings.gain)}"></div>
+                    <div><label>增益頻寬積 GBW (Hz):</label> <input type="text" id="prop-gbw" value="${formatField(settings.gbw, 'Hz')}" ${settings.usesGbw ? '' : 'disabled'}></div>
+                `;
+                const modelSelect = document.getElementById('prop-opamp-model');
+                modelSelect.value = settings.model;
+                modelSelect.addEventListener('change', (e) => {
+                    execute(setPropertyCommand(component, 'model', e.target.value));
+                    render();
+                    updatePropertiesPanel();
+                });
+                bindNumberField(document.getElementById('prop-gain'), '', (value) => {
+                    execute(setPropertyCommand(component, 'gain', requirePositive(value, '開迴路增益')));
+                });
+                bindNumberField(document.getElementById('prop-gbw'), 'Hz', (value) => {
+                    execute(setPropertyCommand(component, 'gbw', requirePositive(value, '增益頻寬積')));
+                });
+            } else if (component.type === 'NMOS' || component.type === 'PMOS') {
+                propertiesPanel.innerHTML = `
+                    <div><label>ID:</label> <input type="text" value="${component.id}" readonly></div>
+                    <div><label>類型:</label> <input type="text" value="${component.type}" readonly></div>
+                    <div><label>寬度 (W):</label> <input type="text" id="prop-width" value="${formatField(component.width || '10u', 'm')}" placeholder="10u"></div>
+                    <div><label>長度 (L):</label> <input type="text" id="prop-length" value="${formatField(component.length || '1u', 'm')}" placeholder="1u"></div>
                     <div><label>模型:</label> <input type="text" id="prop-model" value="${component.model || (component.type === 'NMOS' ? 'NMOS_MODEL' : 'PMOS_MODEL')}" readonly></div>
+                    <div><label><input type="checkbox" id="prop-bulk" style="width:auto"> 獨立基體端點 (B)</label></div>
                 `;
-                
-                document.getElementById('prop-width').addEventListener('change', (e) => {
-                    component.width = e.target.value || '10u';
+
+                const bulkCheckbox = document.getElementById('prop-bulk');
+                bulkCheckbox.checked = !!component.separateBulk;
+                bulkCheckbox.addEventListener('change', (e) => {
+                    execute(setPropertyCommand(component, 'separateBulk', e.target.checked));
+                    render();
                 });
                 
-                document.getElementById('prop-length').addEventListener('change', (e) => {
-                    component.length = e.target.value || '1u';
+                bindNumberField(document.getElementById('prop-width'), 'm', (value) => {
+                    execute(setPropertyCommand(component, 'width', requirePositive(value, '寬度')));
+                    render();
+                });
+                bindNumberField(document.getElementById('prop-length'), 'm', (value) => {
+                    execute(setPropertyCommand(component, 'length', requirePositive(value, '長度')));
+                    render();
                 });
             } else {
+                const definition = getComponentDefinition(component.type);
+                const unit = (definition && definition.properties && definition.properties.unit) || '';
                 propertiesPanel.innerHTML = `
                     <div><label>ID:</label> <input type="text" value="${component.id}" readonly></div>
                     <div><label>類型:</label> <input type="text" value="${component.type}" readonly></div>
-                    <div><label>數值:</label> <input type="text" id="prop-value" value="${component.value}"></div>
+                    <div><label>數值${unit ? ` (${unit})` : ''}:</label> <input type="text" id="prop-value" value="${formatField(component.value, unit)}"></div>
                 `;
-                
-                document.getElementById('prop-value').addEventListener('change', (e) => {
-                    component.value = parseFloat(e.target.value) || 0;
+
+                bindNumberField(document.getElementById('prop-value'), unit, (value) => {
+                    execute(setPropertyCommand(component, 'value', value));
+                    render();
+                });
+
+                // 容差 (%)：蒙地卡羅分析使用
+                const toleranceDiv = document.createElement('div');
+                toleranceDiv.innerHTML = `<label>容差 (%):</label> <input type="text" id="prop-tolerance" value="${component.tolerance ?? 0}">`;
+                propertiesPanel.appendChild(toleranceDiv);
+                bindNumberField(document.getElementById('prop-tolerance'), '%', (value) => {
+                    if (value < 0) throw new Error('容差不可為負值');
+                    execute(setPropertyCommand(component, 'tolerance', value));
                 });
+
+                // 電源的交流小訊號激勵 (交流分析使用)
+                if (component.type === 'DC_Source' || component.type === 'Current_Source') {
+                    const acDiv = document.createElement('div');
+                    acDiv.innerHTML = `
+                        <div><label>AC 振幅 (${unit}):</label> <input type="text" id="prop-ac-mag" value="${formatField(component.acMagnitude ?? 0, unit)}"></div>
+                        <div><label>AC 相位 (°):</label> <input type="text" id="prop-ac-phase" value="${component.acPhase ?? 0}"></div>
+                    `;
+                    propertiesPanel.appendChild(acDiv);
+                    bindNumberField(document.getElementById('prop-ac-mag'), unit, (value) => {
+                        execute(setPropertyCommand(component, 'acMagnitude', value));
+                    });
+                    bindNumberField(document.getElementById('prop-ac-phase'), '°', (value) => {
+                        execute(setPropertyCommand(component, 'acPhase', value));
+                    });
+                    renderWaveformEditor(component, unit);
+                }
+
+                // 電容/電感的初始條件 (暫態分析勾選 UIC 時使用)
+                if (component.type === 'Capacitor' || component.type === 'Inductor') {
+                    const icUnit = component.type === 'Capacitor' ? 'V' : 'A';
+                    const icLabel = component.type === 'Capacitor' ? '初始電壓 IC (V)' : '初始電流 IC (A)';
+                    const icDiv = document.createElement('div');
+                    icDiv.innerHTML = `<label>${icLabel}:</label> <input type="text" id="prop-ic" value="${formatField(component.ic ?? 0, icUnit)}">`;
+                    propertiesPanel.appendChild(icDiv);
+                    bindNumberField(document.getElementById('prop-ic'), icUnit, (value) => {
+                        execute(setPropertyCommand(component, 'ic', value));
+                    });
+                }
+
+                // 電流控制的受控電源：以電壓源的電流為輸入 (與 SPICE 的 F/H 卡相同)
+                if (component.type === 'CCCS' || component.type === 'CCVS') {
+                    const sources = circuit.components.filter(c => c.type === 'DC_Source');
+                    const controlDiv = document.createElement('div');
+                    controlDiv.innerHTML = `<label>控制電流 (電壓源):</label> <select id="prop-control"><option value="">(未指定)</option>${sources.map(c => `<option value="${c.id}">I(${c.id})</option>`).join('')}</select>`;
+                    propertiesPanel.appendChild(controlDiv);
+                    const controlSelect = document.getElementById('prop-control');
+                    controlSelect.value = component.control || '';
+                    controlSelect.addEventListener('change', (e) => {
+                        execute(setPropertyCommand(component, 'control', e.target.value));
+                        render();
+                    });
+                }
             }
         }
     } else {
-        propertiesPanel.innerHTML = `<div id="no-selection">已選取 ${state.selectedComponentIds.length} 個元件</div>`;
+        const parts = [componentCount > 0 ? `${componentCount} 個元件` : '', wireCount > 0 ? `${wireCount} 條導線` : ''];
+        propertiesPanel.innerHTML = `<div id="no-selection">已選取 ${parts.filter(Boolean).join('、')}</div>`;
+    }
+}
+
+// 電路中的模型卡優先，其次為同名的內建模型
+function findModelCard(name) {
+    if (circuit.models[name]) return circuit.models[name];
+    if (!builtinModels[name]) return null;
+    const { type, ...params } = builtinModels[name];
+    return { type, params };
+}
+
+/**
+ * 元件的模型選擇與 .MODEL 參數編輯。
+ * 修改內建模型的參數時會在電路中建立同名的模型卡 (取代內建值)；欄位空白表示使用 SPICE 預設值。
+ * @param {object} component
+ * @param {string} modelType - .MODEL 類型 (如 'D')。
+ */
+function renderModelEditor(component, modelType) {
+    const name = component.model;
+    const names = [...new Set([
+        ...Object.keys(builtinModels).filter(n => builtinModels[n].type === modelType),
+        ...Object.keys(circuit.models).filter(n => circuit.models[n].type === modelType),
+        name,
+    ])];
+    const card = findModelCard(name) || { type: modelType, params: {} };
+
+    const section = document.createElement('fieldset');
+    section.innerHTML = `
+        <legend>.MODEL ${name} ${modelType}</legend>
+        <div><label>模型:</label> <select id="prop-model">${names.map(n => `<option value="${n}">${n}</option>`).join('')}</select></div>
+        <div><button id="prop-model-new">另存為新模型…</button></div>
+        ${findModelCard(name) ? '' : '<div class="field-error">此模型尚未定義，模擬時使用內建的預設參數</div>'}
+    `;
+    propertiesPanel.appendChild(section);
+    const select = document.getElementById('prop-model');
+    select.value = name;
+    select.addEventListener('change', (e) => {
+        execute(setPropertyCommand(component, 'model', e.target.value));
+        render();
+        updatePropertiesPanel();
+    });
+    document.getElementById('prop-model-new').addEventListener('click', () => {
+        const newName = (prompt('新模型名稱:', `${name}_1`) || '').trim();
+        if (!newName) return;
+        if (!/^[A-Za-z_][\w.-]*$/.test(newName)) {
+            alert('模型名稱只能包含英文字母、數字、底線、句點與連字號，且不可以數字開頭');
+            return;
+        }
+        if (findModelCard(newName)) {
+            alert(`模型 ${newName} 已存在`);
+            return;
+        }
+        execute(compositeCommand(`新增模型 ${newName}`, [
+            setModelCommand(newName, { type: modelType, params: { ...card.params } }),
+            setPropertyCommand(component, 'model', newName),
+        ]));
+        render();
+        updatePropertiesPanel();
+    });
+
+    MODEL_PARAMETERS[modelType].forEach(parameter => {
+        const row = document.createElement('div');
+        const value = card.params[parameter.key];
+        row.innerHTML = `<label>${parameter.label}${parameter.unit ? ` (${parameter.unit})` : ''}:</label> <input type="text" placeholder="預設" value="${value === undefined ? '' : formatField(value, parameter.unit)}">`;
+        section.appendChild(row);
+        const input = row.querySelector('input');
+        input.addEventListener('change', (e) => {
+            const params = { ...(findModelCard(name) || card).params };
+            try {
+                if (e.target.value.trim() === '') {
+                    delete params[parameter.key];
+                } else {
+                    params[parameter.key] = parseEngineering(e.target.value, parameter.unit);
+                }
+                setFieldError(input, '');
+            } catch (error) {
+                setFieldError(input, error.message);
+                return;
+            }
+            execute(setModelCommand(name, { type: modelType, params }));
+        });
+    });
+}
+
+/**
+ * 電源的暫態波形編輯區：波形類型、參數欄位 (PWL 為時間/數值列表，可由 CSV 載入) 與預覽圖。
+ * @param {object} component
+ * @param {string} unit - 電源的單位 (V 或 A)，用於振幅等參數。
+ */
+function renderWaveformEditor(component, unit) {
+    const section = document.createElement('fieldset');
+    section.classList.add('waveform-editor');
+    section.innerHTML = `
+        <legend>暫態波形</legend>
+        <div><select id="prop-waveform">
+            <option value="">無 (僅直流值)</option>
+            ${listWaveformTypes().map(w => `<option value="${w.type}">${w.keyword} ${w.name}</option>`).join('')}
+        </select></div>
+    `;
+    propertiesPanel.appendChild(section);
+    const select = document.getElementById('prop-waveform');
+    select.value = component.waveform ? component.waveform.type : '';
+    select.addEventListener('change', (e) => {
+        execute(setPropertyCommand(component, 'waveform', e.target.value ? createWaveform(e.target.value) : undefined));
+        render();
+        updatePropertiesPanel();
+    });
+    if (!component.waveform) return;
+
+    const preview = document.createElement('div');
+    // 每次修改都以新物件取代整個波形，復原時才能還原修改前的參數
+    const update = (changes) => {
+        const next = { ...component.waveform, ...changes };
+        const error = validateWaveform(next);
+        if (error) throw new Error(error);
+        execute(setPropertyCommand(component, 'waveform', next));
+        render();
+        renderWaveformPreview(preview, next, unit);
+    };
+
+    const { type } = component.waveform;
+    if (type === 'pwl') {
+        const pointsText = (points) => points.map(p => `${formatEngineering(p.t, 's')} ${formatEngineering(p.v, unit)}`).join('\n');
+        const pwlDiv = document.createElement('div');
+        pwlDiv.innerHTML = `
+            <label>時間 數值 (每行一點):</label>
+            <textarea id="prop-pwl-points" rows="5"></textarea>
+            <button id="prop-pwl-csv">由 CSV 載入…</button>
+            <input type="file" id="prop-pwl-file" accept=".csv,.txt" style="display:none">
+        `;
+        section.appendChild(pwlDiv);
+        const textarea = document.getElementById('prop-pwl-points');
+        const fileInput = document.getElementById('prop-pwl-file');
+        textarea.value = pointsText(component.waveform.points);
+        textarea.addEventListener('change', (e) => {
+            try {
+                update({ points: parsePwlCsv(e.target.value) });
+                setFieldError(textarea, '');
+            } catch (error) {
+                setFieldError(textarea, error.message);
+            }
+        });
+        document.getElementById('prop-pwl-csv').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const points = parsePwlCsv(await file.text());
+                update({ points });
+                textarea.value = pointsText(points);
+                setFieldError(textarea, '');
+            } catch (error) {
+                alert(`無法載入 ${file.name}：${error.message}`);
+            }
+        });
+    } else {
+        listWaveformTypes().find(w => w.type === type).parameters.forEach(parameter => {
+            const parameterUnit = parameter.unit ?? unit;
+            const row = document.createElement('div');
+            row.innerHTML = `<label>${parameter.label}${parameterUnit ? ` (${parameterUnit})` : ''}:</label> <input type="text" value="${formatField(component.waveform[parameter.key], parameterUnit)}">`;
+            section.appendChild(row);
+            bindNumberField(row.querySelector('input'), parameterUnit, (value) => update({ [parameter.key]: value }));
+        });
     }
-}
\ No newline at end of file
+    section.appendChild(preview);
+    renderWaveformPreview(preview, component.waveform, unit);
+}
+
+// 波形預覽：以折線畫出一段代表性的時間範圍，下方標示時間與數值範圍
+function renderWaveformPreview(container, waveform, unit) {
+    const width = 200;
+    const height = 60;
+    const pad = 4;
+    const samples = sampleWaveform(waveform);
+    const duration = samples[samples.length - 1].t || 1;
+    const values = samples.map(s => s.v);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    // 定值波形畫在中間
+    const span = max - min > 1e-15 ? max - min : 1;
+    const offset = max - min > 1e-15 ? min : min - 0.5;
+    const points = samples.map(s => {
+        const x = pad + (width - 2 * pad) * s.t / duration;
+        const y = height - pad - (height - 2 * pad) * (s.v - offset) / span;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+    container.innerHTML = `
+        <svg class="waveform-preview" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <polyline points="${points}" fill="none" stroke="#4fc3f7" stroke-width="1.5" vector-effect="non-scaling-stroke"></polyline>
+        </svg>
+        <div class="waveform-preview-caption">0 ~ ${formatEngineering(duration, 's', 3)}，${formatEngineering(min, unit, 3)} ~ ${formatEngineering(max, unit, 3)}</div>
+    `;
+}
+
+// 更新模擬設定面板 (依目前選擇的分析類型顯示參數欄位)
+export function updateAnalysisPanel() {
+    const container = document.getElementById('analysis-settings');
+    document.getElementById('analysis-type').value = simulationSettings.analysis;
+    container.innerHTML = '';
+
+    if (simulationSettings.analysis === 'tran') {
+        const tran = simulationSettings.tran;
+        container.innerHTML = `
+            <div><label>停止時間 (s):</label> <input type="text" id="tran-stop" value="${formatField(tran.stopTime, 's')}"></div>
+            <div><label>最大步長 (s):</label> <input type="text" id="tran-step" value="${formatField(tran.maxStep, 's')}"></div>
+            <div><label>積分法:</label>
+                <select id="tran-method">
+                    <option value="trap">梯形法</option>
+                    <option value="euler">後向歐拉法</option>
+                </select>
+            </div>
+            <div><label><input type="checkbox" id="tran-uic"> 使用初始條件 (UIC)</label></div>
+        `;
+        document.getElementById('tran-method').value = tran.method;
+        document.getElementById('tran-uic').checked = tran.useInitialConditions;
+
+        bindNumberField(document.getElementById('tran-stop'), 's', (value) => {
+            tran.stopTime = requirePositive(value, '停止時間');
+        });
+        bindNumberField(document.getElementById('tran-step'), 's', (value) => {
+            tran.maxStep = requirePositive(value, '最大步長');
+        });
+        document.getElementById('tran-method').addEventListener('change', (e) => {
+            tran.method = e.target.value;
+        });
+        document.getElementById('tran-uic').addEventListener('change', (e) => {
+            tran.useInitialConditions = e.target.checked;
+        });
+    } else if (simulationSettings.analysis === 'dc') {
+        const { sweep1, sweep2 } = simulationSettings.dc;
+        container.innerHTML = `
+            <fieldset id="dc-sweep1"><legend>主掃描</legend></fieldset>
+            <div><label><input type="checkbox" id="dc-nested"> 第二掃描 (曲線族)</label></div>
+            <fieldset id="dc-sweep2"><legend>第二掃描</legend></fieldset>
+        `;
+        renderSweepFields(document.getElementById('dc-sweep1'), sweep1);
+        renderSweepFields(document.getElementById('dc-sweep2'), sweep2);
+        const nested = document.getElementById('dc-nested');
+        nested.checked = sweep2.enabled;
+        document.getElementById('dc-sweep2').disabled = !sweep2.enabled;
+        nested.addEventListener('change', (e) => {
+            sweep2.enabled = e.target.checked;
+            document.getElementById('dc-sweep2').disabled = !sweep2.enabled;
+        });
+    } else if (simulationSettings.analysis === 'ac') {
+        const ac = simulationSettings.ac;
+        container.innerHTML = `
+            <div><label>掃描方式:</label>
+                <select id="ac-sweep">
+                    <option value="dec">十倍頻 (DEC)</option>
+                    <option value="oct">八度 (OCT)</option>
+                    <option value="lin">線性 (LIN)</option>
+                </select>
+            </div>
+            <div><label id="ac-points-label">每十倍頻點數:</label> <input type="text" id="ac-points" value="${ac.points}"></div>
+            <div><label>起始頻率 (Hz):</label> <input type="text" id="ac-start" value="${formatField(ac.startFrequency, 'Hz')}"></div>
+            <div><label>停止頻率 (Hz):</label> <input type="text" id="ac-stop" value="${formatField(ac.stopFrequency, 'Hz')}"></div>
+            <div><label>輸出節點 (+):</label> <select id="ac-output"></select></div>
+            <div><label>參考節點 (-):</label> <select id="ac-reference"></select></div>
+        `;
+        const pointsLabels = { dec: '每十倍頻點數:', oct: '每八度點數:', lin: '總點數:' };
+        const sweepSelect = document.getElementById('ac-sweep');
+        sweepSelect.value = ac.sweepType;
+        document.getElementById('ac-points-label').textContent = pointsLabels[ac.sweepType];
+        sweepSelect.addEventListener('change', (e) => {
+            ac.sweepType = e.target.value;
+            document.getElementById('ac-points-label').textContent = pointsLabels[ac.sweepType];
+        });
+        document.getElementById('ac-points').addEventListener('change', (e) => {
+            ac.points = parseInt(e.target.value, 10) || ac.points;
+        });
+        bindNumberField(document.getElementById('ac-start'), 'Hz', (value) => {
+            ac.startFrequency = requirePositive(value, '起始頻率');
+        });
+        bindNumberField(document.getElementById('ac-stop'), 'Hz', (value) => {
+            ac.stopFrequency = requirePositive(value, '停止頻率');
+        });
+        bindNodeSelect(document.getElementById('ac-output'), ac, 'outputNode');
+        bindNodeSelect(document.getElementById('ac-reference'), ac, 'referenceNode');
+    } else if (simulationSettings.analysis === 'mc') {
+        const mc = simulationSettings.monteCarlo;
+        container.innerHTML = `
+            <div><label>執行次數:</label> <input type="text" id="mc-runs" value="${mc.runs}"></div>
+            <div><label>亂數種子:</label> <input type="text" id="mc-seed" value="${mc.seed}"></div>
+            <div><label>分佈:</label>
+                <select id="mc-distribution">
+                    <option value="uniform">均勻分佈</option>
+                    <option value="gaussian">常態分佈 (容差 = 3σ)</option>
+                </select>
+            </div>
+            <fieldset id="mc-limits"><legend>良率條件 (節點電壓)</legend></fieldset>
+        `;
+        document.getElementById('mc-distribution').value = mc.distribution;
+        document.getElementById('mc-runs').addEventListener('change', (e) => {
+            mc.runs = parseInt(e.target.value, 10) || mc.runs;
+        });
+        document.getElementById('mc-seed').addEventListener('change', (e) => {
+            const seed = parseInt(e.target.value, 10);
+            if (!isNaN(seed)) mc.seed = seed;
+        });
+        document.getElementById('mc-distribution').addEventListener('change', (e) => {
+            mc.distribution = e.target.value;
+        });
+        renderLimitRows(document.getElementById('mc-limits'), mc.limits);
+        return;
+    }
+
+    renderParametricFields(container);
+}
+
+// 蒙地卡羅良率條件：每列一個節點與其上下限
+function renderLimitRows(fieldset, limits) {
+    limits.forEach((limit, index) => {
+        const row = document.createElement('div');
+        row.classList.add('limit-row');
+        row.innerHTML = `
+            <div><label>節點:</label> <select class="limit-node"></select></div>
+            <div><label>下限 (V):</label> <input type="text" class="limit-min" value="${limit.min}"></div>
+            <div><label>上限 (V):</label> <input type="text" class="limit-max" value="${limit.max}"></div>
+            <button class="limit-remove">移除</button>
+        `;
+        fieldset.appendChild(row);
+        bindNodeSelect(row.querySelector('.limit-node'), limit, 'node');
+        row.querySelector('.limit-min').addEventListener('change', (e) => { limit.min = e.target.value.trim(); });
+        row.querySelector('.limit-max').addEventListener('change', (e) => { limit.max = e.target.value.trim(); });
+        row.querySelector('.limit-remove').addEventListener('click', () => {
+            limits.splice(index, 1);
+            updateAnalysisPanel();
+        });
+    });
+    const addButton = document.createElement('button');
+    addButton.textContent = '新增條件';
+    addButton.addEventListener('click', () => {
+        limits.push({ node: '', min: '', max: '' });
+        updateAnalysisPanel();
+    });
+    fieldset.appendChild(addButton);
+}
+
+// 直流掃描變數的欄位：掃描元件、參數與起止值/步距
+function renderSweepFields(fieldset, sweep) {
+    fieldset.insertAdjacentHTML('beforeend', `
+        <div><label>元件:</label> <select class="sweep-component"></select></div>
+        <div><label>參數:</label> <select class="sweep-parameter"></select></div>
+        <div><label>起始值:</label> <input type="text" class="sweep-start" value="${formatField(sweep.start)}"></div>
+        <div><label>結束值:</label> <input type="text" class="sweep-stop" value="${formatField(sweep.stop)}"></div>
+        <div><label>步距:</label> <input type="text" class="sweep-step" value="${formatField(sweep.step)}"></div>
+    `);
+    bindSweepTarget(fieldset, sweep);
+    [['.sweep-start', 'start'], ['.sweep-stop', 'stop'], ['.sweep-step', 'step']].forEach(([selector, key]) => {
+        bindNumberField(fieldset.querySelector(selector), () => sweepUnit(sweep), (value) => { sweep[key] = value; });
+    });
+}
+
+// 掃描值可帶目前掃描參數的單位 (如 5V、2.2kΩ)
+function sweepUnit(sweep) {
+    const component = circuit.components.find(c => c.id === sweep.componentId);
+    return component ? getParameterUnit(component.type, sweep.parameter) : '';
+}
+
+// 掃描目標的元件/參數下拉選單 (直流掃描與參數掃描共用)
+function bindSweepTarget(fieldset, sweep) {
+    const componentSelect = fieldset.querySelector('.sweep-component');
+    const parameterSelect = fieldset.querySelector('.sweep-parameter');
+
+    const refreshParameters = () => {
+        const component = circuit.components.find(c => c.id === sweep.componentId);
+        const parameters = component ? getSweepableParameters(component.type) : ['value'];
+        if (!parameters.includes(sweep.parameter)) sweep.parameter = parameters[0];
+        parameterSelect.innerHTML = parameters.map(p => `<option value="${p}">${p}</option>`).join('');
+        parameterSelect.value = sweep.parameter;
+    };
+    const refreshComponents = () => {
+        componentSelect.innerHTML = '<option value="">-- 選擇元件 --</option>' + circuit.components
+            .filter(c => getSweepableParameters(c.type).length > 0)
+            .map(c => `<option value="${c.id}">${c.id} (${c.type})</option>`).join('');
+        componentSelect.value = circuit.components.some(c => c.id === sweep.componentId) ? sweep.componentId : '';
+    };
+    refreshComponents();
+    refreshParameters();
+
+    componentSelect.addEventListener('mousedown', refreshComponents);
+    componentSelect.addEventListener('change', (e) => {
+        sweep.componentId = e.target.value;
+        refreshParameters();
+    });
+    parameterSelect.addEventListener('change', (e) => {
+        sweep.parameter = e.target.value;
+    });
+}
+
+// 參數掃描設定 (存放於 circuit.parametricSweep)，可套用在任何分析類型上
+function renderParametricFields(container) {
+    const sweep = circuit.parametricSweep;
+    container.insertAdjacentHTML('beforeend', `
+        <div><label><input type="checkbox" id="param-enabled"> 參數掃描 (疊圖比較)</label></div>
+        <fieldset id="param-sweep"><legend>參數掃描</legend>
+            <div><label>元件:</label> <select class="sweep-component"></select></div>
+            <div><label>參數:</label> <select class="sweep-parameter"></select></div>
+            <div><label>數值來源:</label>
+                <select id="param-mode">
+                    <option value="list">清單</option>
+                    <option value="range">範圍</option>
+                </select>
+            </div>
+            <div class="param-list"><label>數值 (以逗號分隔，如 1k, 2.2k, 4.7k):</label> <input type="text" id="param-list" value="${sweep.list}"></div>
+            <div class="param-range"><label>起始值:</label> <input type="text" id="param-start" value="${sweep.start}"></div>
+            <div class="param-range"><label>結束值:</label> <input type="text" id="param-stop" value="${sweep.stop}"></div>
+            <div class="param-range"><label>步距:</label> <input type="text" id="param-step" value="${sweep.step}"></div>
+        </fieldset>
+    `);
+    const fieldset = document.getElementById('param-sweep');
+    const enabled = document.getElementById('param-enabled');
+    const modeSelect = document.getElementById('param-mode');
+    const updateVisibility = () => {
+        fieldset.disabled = !sweep.enabled;
+        fieldset.querySelectorAll('.param-list').forEach(el => { el.style.display = sweep.mode === 'list' ? '' : 'none'; });
+        fieldset.querySelectorAll('.param-range').forEach(el => { el.style.display = sweep.mode === 'range' ? '' : 'none'; });
+    };
+    enabled.checked = sweep.enabled;
+    modeSelect.value = sweep.mode;
+    updateVisibility();
+    bindSweepTarget(fieldset, sweep);
+
+    enabled.addEventListener('change', (e) => {
+        sweep.enabled = e.target.checked;
+        updateVisibility();
+    });
+    modeSelect.addEventListener('change', (e) => {
+        sweep.mode = e.target.value;
+        updateVisibility();
+    });
+    // 保留原始字串，讓 1k、10u 等單位字尾在存檔後仍維持使用者的寫法
+    [['param-start', 'start'], ['param-stop', 'stop'], ['param-step', 'step']].forEach(([id, key]) => {
+        bindNumberField(document.getElementById(id), () => sweepUnit(sweep), (value, text) => { sweep[key] = text; });
+    });
+    const listInput = document.getElementById('param-list');
+    listInput.addEventListener('change', (e) => {
+        const unit = sweepUnit(sweep);
+        try {
+            e.target.value.split(/[\s,;]+/).filter(Boolean).forEach(token => parseEngineering(token, unit));
+            sweep.list = e.target.value.trim();
+            setFieldError(listInput, '');
+        } catch (error) {
+            setFieldError(listInput, error.message);
+        }
+    });
+}
+
+// 列出目前電路的節點 (與 generateNetlist 的節點命名一致)，並附上所連接的端點方便辨識
+// reference 為儲存在設定中的節點參照：網路標籤名稱與 0 直接使用，自動命名的節點改用第一個端點 (如 R1.t1)；
+// 已儲存的參照 (saved) 仍指向某個節點時，該節點沿用原參照
+function listCircuitNodes(saved) {
+    const { terminalToNodeName } = buildNodeMap(circuit);
+    const savedNode = saved ? resolveNodeReference(saved, terminalToNodeName) : null;
+    const labeled = new Set(circuit.components.filter(c => c.type === 'NetLabel').map(netLabelName));
+    const terminalsByNode = {};
+    Object.entries(terminalToNodeName).forEach(([terminalKey, nodeName]) => {
+        const split = terminalKey.lastIndexOf('_');
+        (terminalsByNode[nodeName] = terminalsByNode[nodeName] || []).push(`${terminalKey.slice(0, split)}.${terminalKey.slice(split + 1)}`);
+    });
+    return Object.keys(terminalsByNode)
+        .sort((a, b) => (a === '0' ? -1 : b === '0' ? 1 : a.localeCompare(b, undefined, { numeric: true })))
+        .map(name => {
+            const terminals = terminalsByNode[name];
+            const hint = terminals.slice(0, 3).join(', ') + (terminals.length > 3 ? ', …' : '');
+            let reference = name === '0' || labeled.has(name) ? name : terminals[0];
+            if (name === savedNode) reference = saved;
+            return { name, reference, label: `${name} (${hint})` };
+        });
+}
+
+// 節點下拉選單：每次展開時重新整理，以反映最新的電路連接
+function bindNodeSelect(select, settings, key) {
+    const refresh = () => {
+        const nodes = listCircuitNodes(settings[key]);
+        if (!nodes.some(n => n.name === '0')) nodes.unshift({ name: '0', reference: '0', label: '0 (接地)' });
+        select.innerHTML = nodes.map(n => `<option value="${n.reference}">${n.label}</option>`).join('');
+        if (settings[key] && !nodes.some(n => n.reference === settings[key])) {
+            select.insertAdjacentHTML('beforeend', `<option value="${settings[key]}">${settings[key]}</option>`);
+        }
+        select.value = settings[key];
+    };
+    refresh();
+    select.addEventListener('mousedown', refresh);
+    select.addEventListener('change', (e) => {
+        settings[key] = e.target.value;
+    });
+}
@@ -0,0 +1,97 @@
+/**
+ * units.js - 工程記號數值的解析與格式化
+ *
+ * 字尾與 SPICE 相同且不分大小寫：f p n u(µ) m k meg g t，
+ * 因此 1M 為 1 毫 (milli)，百萬要寫成 1meg；網表中單獨的 F 也是字尾 (1F = 1 飛)，1 法拉請寫 1。
+ * 輸入欄位例外：數字之後恰好是欄位單位本身 (區分大小寫，如電容的 1F、MOSFET 尺寸的 2m) 時視為單位，
+ * 讓 formatEngineering 產生的文字能原樣解析回來。
+ *   parseSpiceNumber  網表用的寬鬆解析：字尾之後的文字 (如 10uF 的 F) 一律忽略
+ *   parseEngineering  輸入欄位用的嚴格解析：只接受指定的單位，其他多餘文字視為錯誤
+ *   formatEngineering 以字尾格式化數值，網表與畫面文字共用
+ */
+
+const SCALE = { t: 1e12, g: 1e9, meg: 1e6, k: 1e3, m: 1e-3, u: 1e-6, 'µ': 1e-6, n: 1e-9, p: 1e-12, f: 1e-15 };
+
+const SUFFIXES = [
+    { exponent: 12, suffix: 'T' },
+    { exponent: 9, suffix: 'G' },
+    { exponent: 6, suffix: 'Meg' },
+    { exponent: 3, suffix: 'k' },
+    { exponent: 0, suffix: '' },
+    { exponent: -3, suffix: 'm' },
+    { exponent: -6, suffix: 'u' },
+    { exponent: -9, suffix: 'n' },
+    { exponent: -12, suffix: 'p' },
+    { exponent: -15, suffix: 'f' },
+];
+
+// 單位的其他寫法 (比對時不分大小寫)
+const UNIT_ALIASES = {
+    'Ω': ['ohm', 'ohms', 'Ω'],
+    'Hz': ['hz'],
+};
+
+const NUMBER_PATTERN = '([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?)';
+const SUFFIX_PATTERN = '(meg|[tgkmunpfµ])?';
+
+// 乘上字尾倍率；取 15 位有效數字消除 10 * 1e-6 = 9.999999999999999e-6 這類浮點誤差
+const applySuffix = (number, suffix) => {
+    const value = parseFloat(number);
+    return suffix ? Number((value * SCALE[suffix.toLowerCase()]).toPrecision(15)) : value;
+};
+
+/**
+ * 解析帶 SPICE 單位字尾的數值 (如 10u、4.7k、1meg)。
+ * @param {number|string} value
+ * @returns {number} - 無法解析時回傳 NaN。
+ */
+export function parseSpiceNumber(value) {
+    if (typeof value === 'number') return value;
+    const match = new RegExp(`^\\s*${NUMBER_PATTERN}\\s*${SUFFIX_PATTERN}`, 'i').exec(String(value));
+    if (!match) return NaN;
+    return applySuffix(match[1], match[2]);
+}
+
+/**
+ * 嚴格解析使用者輸入的數值，可帶字尾與單位 (如 4.7k、4.7kΩ、10uF)。
+ * @param {number|string} text
+ * @param {string} [unit=''] - 可接受的單位；空字串表示不接受任何單位。
+ * @returns {number}
+ * @throws {Error} 格式錯誤時，訊息可直接顯示給使用者。
+ */
+export function parseEngineering(text, unit = '') {
+    if (typeof text === 'number') {
+        if (!Number.isFinite(text)) throw new Error('數值無效');
+        return text;
+    }
+    const trimmed = String(text).trim();
+    if (!trimmed) throw new Error('請輸入數值');
+    const match = new RegExp(`^${NUMBER_PATTERN}\\s*${SUFFIX_PATTERN}\\s*(.*)$`, 'i').exec(trimmed);
+    if (!match) throw new Error(`「${trimmed}」不是有效的數值`);
+
+    const [, number, suffix, rest] = match;
+    if (unit && trimmed.slice(number.length).trim() === unit) return parseFloat(number);
+    const units = unit ? (UNIT_ALIASES[unit] || [unit]).map(u => u.toLowerCase()) : [];
+    if (rest && !units.includes(rest.toLowerCase())) {
+        const hint = unit ? `，單位只能是 ${unit}` : '';
+        throw new Error(`無法辨識「${rest}」${hint} (字尾：f p n u m k meg g t)`);
+    }
+    const value = applySuffix(number, suffix);
+    if (!Number.isFinite(value)) throw new Error(`「${trimmed}」超出數值範圍`);
+    return value;
+}
+
+/**
+ * 以工程記號格式化數值 (1000 → 1k, 4.7e-6 → 4.7u)。
+ * @param {number} value
+ * @param {string} [unit=''] - 接在字尾之後的單位。
+ * @param {number} [digits=12] - 有效位數；網表保留完整精度，畫面文字可用較少位數。
+ * @returns {string}
+ */
+export function formatEngineering(value, unit = '', digits = 12) {
+    if (!Number.isFinite(value) || value === 0) return `${value}${unit}`;
+    const magnitude = Math.abs(value);
+    const scale = SUFFIXES.find(s => magnitude >= Math.pow(10, s.exponent) * (1 - 1e-12)) || SUFFIXES[SUFFIXES.length - 1];
+    const scaled = Number((value / Math.pow(10, scale.exponent)).toPrecision(digits));
+    return `${scaled}${scale.suffix}${unit}`;
+}
@@ -0,0 +1,210 @@
+/**
+ * waveformPlot.js - 模擬結果的波形圖
+ *
+ * 在畫布右上方顯示浮動的 SVG 折線圖，支援多條曲線、圖例點擊隱藏與對數 X 軸；
+ * 另可繪製直方圖 (蒙地卡羅分析的分佈)。
+ */
+
+import { svgNS } from './state.js';
+
+const PLOT_WIDTH = 520;
+const PLOT_HEIGHT = 260;
+const MARGIN = { left: 60, right: 16, top: 12, bottom: 36 };
+const SERIES_COLORS = ['#66ff66', '#ff9800', '#00e6e6', '#ff5c8a', '#ffeb3b', '#b388ff', '#4fc3f7', '#ff7043'];
+
+/**
+ * 計算涵蓋 [min, max] 的「漂亮」刻度。
+ */
+function niceTicks(min, max, count = 5) {
+    if (min === max) { min -= 1; max += 1; }
+    const rawStep = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+    const ticks = [];
+    for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) {
+        ticks.push(Math.abs(v) < step * 1e-9 ? 0 : v);
+    }
+    return ticks;
+}
+
+function formatTick(value) {
+    const abs = Math.abs(value);
+    if (abs !== 0 && (abs < 1e-2 || abs >= 1e4)) return value.toExponential(1);
+    return Number(value.toPrecision(4)).toString();
+}
+
+function createSvgElement(tag, attributes, parent) {
+    const el = document.createElementNS(svgNS, tag);
+    Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+    if (parent) parent.appendChild(el);
+    return el;
+}
+
+/**
+ * 繪製單一圖表。
+ * @param {object} chart - { title, xLabel, yLabel, x: Array<number>, series: [{name, values, x?}], logX }
+ * @returns {HTMLElement}
+ */
+function renderChart(chart) {
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('plot-chart');
+    const heading = document.createElement('div');
+    heading.classList.add('plot-title');
+    heading.textContent = chart.title;
+    wrapper.appendChild(heading);
+
+    const plotSvg = createSvgElement('svg', { width: PLOT_WIDTH, height: PLOT_HEIGHT });
+    wrapper.appendChild(plotSvg);
+
+    // 每條曲線可用 series.x 指定自己的 X 值 (如疊圖時各次模擬的時間點不同)
+    const toX = chart.logX ? (v) => Math.log10(v) : (v) => v;
+    const seriesX = chart.series.map(series => (series.x || chart.x).map(toX));
+    const allX = seriesX.flat();
+    // 疊圖的資料點可能很多，不用展開運算子以免超過函式參數上限
+    const xMin = allX.reduce((m, v) => Math.min(m, v), Infinity);
+    const xMax = allX.reduce((m, v) => Math.max(m, v), -Infinity);
+    const allY = chart.series.flatMap(s => s.values).filter(Number.isFinite);
+    let yMin = allY.length ? allY.reduce((m, v) => Math.min(m, v), Infinity) : 0;
+    let yMax = allY.length ? allY.reduce((m, v) => Math.max(m, v), -Infinity) : 1;
+    if (yMin === yMax) { yMin -= 1; yMax += 1; }
+
+    const innerW = PLOT_WIDTH - MARGIN.left - MARGIN.right;
+    const innerH = PLOT_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const px = (v) => MARGIN.left + (xMax === xMin ? 0 : (v - xMin) / (xMax - xMin)) * innerW;
+    const py = (v) => MARGIN.top + (1 - (v - yMin) / (yMax - yMin)) * innerH;
+
+    // 格線與刻度
+    const yTicks = niceTicks(yMin, yMax);
+    yTicks.filter(t => t >= yMin && t <= yMax).forEach(t => {
+        createSvgElement('line', { x1: MARGIN.left, x2: MARGIN.left + innerW, y1: py(t), y2: py(t), class: 'plot-grid' }, plotSvg);
+        createSvgElement('text', { x: MARGIN.left - 6, y: py(t) + 4, class: 'plot-tick', 'text-anchor': 'end' }, plotSvg)
+            .textContent = formatTick(t);
+    });
+    const xTicks = chart.logX
+        ? Array.from({ length: Math.floor(xMax) - Math.ceil(xMin) + 1 }, (_, i) => Math.ceil(xMin) + i)
+        : niceTicks(xMin, xMax);
+    xTicks.filter(t => t >= xMin && t <= xMax).forEach(t => {
+        createSvgElement('line', { x1: px(t), x2: px(t), y1: MARGIN.top, y2: MARGIN.top + innerH, class: 'plot-grid' }, plotSvg);
+        createSvgElement('text', { x: px(t), y: MARGIN.top + innerH + 14, class: 'plot-tick', 'text-anchor': 'middle' }, plotSvg)
+            .textContent = formatTick(chart.logX ? Math.pow(10, t) : t);
+    });
+    createSvgElement('rect', { x: MARGIN.left, y: MARGIN.top, width: innerW, height: innerH, class: 'plot-frame' }, plotSvg);
+    createSvgElement('text', { x: MARGIN.left + innerW / 2, y: PLOT_HEIGHT - 4, class: 'plot-tick', 'text-anchor': 'middle' }, plotSvg)
+        .textContent = chart.xLabel || '';
+    createSvgElement('text', { x: 12, y: MARGIN.top + innerH / 2, class: 'plot-tick', 'text-anchor': 'middle',
+        transform: `rotate(-90 12 ${MARGIN.top + innerH / 2})` }, plotSvg).textContent = chart.yLabel || '';
+
+    // 曲線與圖例
+    const legend = document.createElement('div');
+    legend.classList.add('plot-legend');
+    chart.series.forEach((series, index) => {
+        const color = series.color || SERIES_COLORS[index % SERIES_COLORS.length];
+        const points = seriesX[index].map((xv, i) => Number.isFinite(series.values[i]) ? `${px(xv)},${py(series.values[i])}` : null)
+            .filter(Boolean).join(' ');
+        const line = createSvgElement('polyline', { points, stroke: color, class: 'plot-line' }, plotSvg);
+
+        const item = document.createElement('span');
+        item.classList.add('plot-legend-item');
+        item.style.color = color;
+        item.textContent = series.name;
+        item.addEventListener('click', () => {
+            const hidden = item.classList.toggle('hidden');
+            line.style.display = hidden ? 'none' : '';
+        });
+        legend.appendChild(item);
+    });
+    wrapper.appendChild(legend);
+    return wrapper;
+}
+
+/**
+ * 繪製直方圖。
+ * @param {object} chart - { title, xLabel, bins: [{from, to, count}], markers: [{value, label, color}], summary }
+ * @returns {HTMLElement}
+ */
+function renderHistogram(chart) {
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('plot-chart');
+    const heading = document.createElement('div');
+    heading.classList.add('plot-title');
+    heading.textContent = chart.title;
+    wrapper.appendChild(heading);
+
+    const plotSvg = createSvgElement('svg', { width: PLOT_WIDTH, height: PLOT_HEIGHT });
+    wrapper.appendChild(plotSvg);
+
+    const markers = chart.markers || [];
+    const edges = [...chart.bins.flatMap(b => [b.from, b.to]), ...markers.map(m => m.value)];
+    const xMin = edges.reduce((m, v) => Math.min(m, v), Infinity);
+    const xMax = edges.reduce((m, v) => Math.max(m, v), -Infinity);
+    const yMax = Math.max(1, ...chart.bins.map(b => b.count));
+
+    const innerW = PLOT_WIDTH - MARGIN.left - MARGIN.right;
+    const innerH = PLOT_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const px = (v) => MARGIN.left + (xMax === xMin ? 0.5 : (v - xMin) / (xMax - xMin)) * innerW;
+    const py = (v) => MARGIN.top + (1 - v / yMax) * innerH;
+
+    niceTicks(0, yMax).filter(t => t <= yMax && Number.isInteger(t)).forEach(t => {
+        createSvgElement('line', { x1: MARGIN.left, x2: MARGIN.left + innerW, y1: py(t), y2: py(t), class: 'plot-grid' }, plotSvg);
+        createSvgElement('text', { x: MARGIN.left - 6, y: py(t) + 4, class: 'plot-tick', 'text-anchor': 'end' }, plotSvg)
+            .textContent = formatTick(t);
+    });
+    niceTicks(xMin, xMax).filter(t => t >= xMin && t <= xMax).forEach(t => {
+        createSvgElement('text', { x: px(t), y: MARGIN.top + innerH + 14, class: 'plot-tick', 'text-anchor': 'middle' }, plotSvg)
+            .textContent = formatTick(t);
+    });
+
+    chart.bins.forEach(bin => {
+        createSvgElement('rect', {
+            x: px(bin.from), y: py(bin.count),
+            width: Math.max(1, px(bin.to) - px(bin.from) - 1), height: py(0) - py(bin.count),
+            fill: chart.color || SERIES_COLORS[0], class: 'plot-bar',
+        }, plotSvg);
+    });
+    markers.forEach(marker => {
+        const x = px(marker.value);
+        createSvgElement('line', { x1: x, x2: x, y1: MARGIN.top, y2: MARGIN.top + innerH, stroke: marker.color || '#ff5c8a', class: 'plot-marker' }, plotSvg);
+        createSvgElement('text', { x: x + 3, y: MARGIN.top + 12, class: 'plot-tick' }, plotSvg).textContent = marker.label;
+    });
+    createSvgElement('rect', { x: MARGIN.left, y: MARGIN.top, width: innerW, height: innerH, class: 'plot-frame' }, plotSvg);
+    createSvgElement('text', { x: MARGIN.left + innerW / 2, y: PLOT_HEIGHT - 4, class: 'plot-tick', 'text-anchor': 'middle' }, plotSvg)
+        .textContent = chart.xLabel || '';
+    createSvgElement('text', { x: 12, y: MARGIN.top + innerH / 2, class: 'plot-tick', 'text-anchor': 'middle',
+        transform: `rotate(-90 12 ${MARGIN.top + innerH / 2})` }, plotSvg).textContent = chart.yLabel || '次數';
+
+    if (chart.summary) {
+        const summary = document.createElement('div');
+        summary.classList.add('plot-summary');
+        summary.textContent = chart.summary;
+        wrapper.appendChild(summary);
+    }
+    return wrapper;
+}
+
+/**
+ * 顯示波形視窗 (取代先前顯示的內容)。
+ * @param {string} title - 視窗標題。
+ * @param {Array<object>} charts - 圖表設定陣列，格式見 renderChart；含 bins 者以 renderHistogram 繪製。
+ */
+export function showWaveformPlot(title, charts) {
+    closeWaveformPlot();
+    const panel = document.createElement('div');
+    panel.id = 'plot-panel';
+
+    const header = document.createElement('div');
+    header.classList.add('plot-header');
+    header.textContent = title;
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', closeWaveformPlot);
+    header.appendChild(closeBtn);
+    panel.appendChild(header);
+
+    charts.forEach(chart => panel.appendChild(chart.bins ? renderHistogram(chart) : renderChart(chart)));
+    document.getElementById('canvas-container').appendChild(panel);
+}
+
+export function closeWaveformPlot() {
+    const existing = document.getElementById('plot-panel');
+    if (existing) existing.remove();
+}
@@ -0,0 +1,294 @@
+/**
+ * waveforms.js - 獨立電源的暫態波形
+ *
+ * 波形存放於元件的 waveform 屬性，例如
+ *   { type: 'pulse', v1: 0, v2: 5, td: 0, tr: 1e-9, tf: 1e-9, pw: 5e-6, per: 10e-6 }
+ *   { type: 'pwl', points: [{ t: 0, v: 0 }, { t: 1e-3, v: 5 }] }
+ * 參數名稱與順序與 SPICE 的 PULSE/SIN/EXP/SFFM/PWL 函數相同；
+ * 暫態分析時電源輸出波形在該時間點的值，直流與交流分析仍使用元件的 value。
+ */
+
+import { formatEngineering, parseSpiceNumber } from './units.js';
+
+// 同一波形最多產生的斷點數 (週期極短的脈波改由最大步長控制)
+const MAX_BREAKPOINTS = 10000;
+
+const TWO_PI = 2 * Math.PI;
+
+// 參數的 unit 為 null 時代表電源本身的單位 (電壓源為 V、電流源為 A)
+const WAVEFORMS = {
+    pulse: {
+        keyword: 'PULSE',
+        name: '脈波',
+        parameters: [
+            { key: 'v1', label: '初始值', unit: null, default: 0 },
+            { key: 'v2', label: '脈衝值', unit: null, default: 5 },
+            { key: 'td', label: '延遲', unit: 's', default: 0 },
+            { key: 'tr', label: '上升時間', unit: 's', default: 1e-9 },
+            { key: 'tf', label: '下降時間', unit: 's', default: 1e-9 },
+            { key: 'pw', label: '脈寬', unit: 's', default: 5e-6 },
+            { key: 'per', label: '週期 (0 為單一脈衝)', unit: 's', default: 10e-6 },
+        ],
+        evaluate(w, t) {
+            if (t < w.td) return w.v1;
+            let local = t - w.td;
+            if (w.per > 0) local %= w.per;
+            if (local < w.tr) return w.v1 + (w.v2 - w.v1) * local / w.tr;
+            local -= w.tr;
+            if (local < w.pw) return w.v2;
+            local -= w.pw;
+            if (local < w.tf) return w.v2 + (w.v1 - w.v2) * local / w.tf;
+            return w.v1;
+        },
+        validate(w) {
+            if (['tr', 'tf', 'pw', 'per', 'td'].some(key => w[key] < 0)) return '時間參數不可為負值';
+            if (w.per > 0 && w.tr + w.pw + w.tf > w.per) return '上升、脈寬與下降時間的總和超過週期';
+            return null;
+        },
+        breakpoints(w, stopTime) {
+            const times = [];
+            const edges = [0, w.tr, w.tr + w.pw, w.tr + w.pw + w.tf];
+            for (let start = w.td, k = 0; start < stopTime && times.length < MAX_BREAKPOINTS; start = w.td + (++k) * w.per) {
+                edges.forEach(edge => times.push(start + edge));
+                if (!(w.per > 0)) break;
+            }
+            return times;
+        },
+        previewDuration: (w) => w.td + (w.per > 0 ? 2 * w.per : 1.5 * (w.tr + w.pw + w.tf)),
+        describe: (w, unit) => `PULSE ${formatEngineering(w.v1, unit, 4)}→${formatEngineering(w.v2, unit, 4)}`,
+    },
+    sin: {
+        keyword: 'SIN',
+        name: '正弦波',
+        parameters: [
+            { key: 'vo', label: '偏移', unit: null, default: 0 },
+            { key: 'va', label: '振幅', unit: null, default: 1 },
+            { key: 'freq', label: '頻率', unit: 'Hz', default: 1e3 },
+            { key: 'td', label: '延遲', unit: 's', default: 0 },
+            { key: 'theta', label: '阻尼係數 (1/s)', unit: '', default: 0 },
+            { key: 'phase', label: '相位', unit: '°', default: 0 },
+        ],
+        evaluate(w, t) {
+            const phase = w.phase * Math.PI / 180;
+            if (t < w.td) return w.vo + w.va * Math.sin(phase);
+            const local = t - w.td;
+            return w.vo + w.va * Math.exp(-local * w.theta) * Math.sin(TWO_PI * w.freq * local + phase);
+        },
+        validate: (w) => (w.freq < 0 || w.td < 0 ? '頻率與延遲不可為負值' : null),
+        breakpoints: (w) => [w.td],
+        previewDuration: (w) => w.td + (w.freq > 0 ? 3 / w.freq : 1),
+        describe: (w, unit) => `SIN ${formatEngineering(w.va, unit, 4)} ${formatEngineering(w.freq, 'Hz', 4)}`,
+    },
+    exp: {
+        keyword: 'EXP',
+        name: '指數',
+        parameters: [
+            { key: 'v1', label: '初始值', unit: null, default: 0 },
+            { key: 'v2', label: '目標值', unit: null, default: 5 },
+            { key: 'td1', label: '上升延遲', unit: 's', default: 0 },
+            { key: 'tau1', label: '上升時間常數', unit: 's', default: 1e-6 },
+            { key: 'td2', label: '下降延遲', unit: 's', default: 5e-6 },
+            { key: 'tau2', label: '下降時間常數', unit: 's', default: 1e-6 },
+        ],
+        evaluate(w, t) {
+            if (t < w.td1) return w.v1;
+            let value = w.v1 + (w.v2 - w.v1) * (1 - Math.exp(-(t - w.td1) / w.tau1));
+            if (t >= w.td2) value += (w.v1 - w.v2) * (1 - Math.exp(-(t - w.td2) / w.tau2));
+            return value;
+        },
+        validate(w) {
+            if (!(w.tau1 > 0) || !(w.tau2 > 0)) return '時間常數必須大於 0';
+            if (w.td2 < w.td1) return '下降延遲不可早於上升延遲';
+            return null;
+        },
+        breakpoints: (w) => [w.td1, w.td2],
+        previewDuration: (w) => w.td2 + 5 * w.tau2,
+        describe: (w, unit) => `EXP ${formatEngineering(w.v1, unit, 4)}→${formatEngineering(w.v2, unit, 4)}`,
+    },
+    sffm: {
+        keyword: 'SFFM',
+        name: '單頻調頻',
+        parameters: [
+            { key: 'vo', label: '偏移', unit: null, default: 0 },
+            { key: 'va', label: '振幅', unit: null, default: 1 },
+            { key: 'fc', label: '載波頻率', unit: 'Hz', default: 10e3 },
+            { key: 'mdi', label: '調變指數', unit: '', default: 5 },
+            { key: 'fs', label: '訊號頻率', unit: 'Hz', default: 1e3 },
+        ],
+        evaluate: (w, t) => w.vo + w.va * Math.sin(TWO_PI * w.fc * t + w.mdi * Math.sin(TWO_PI * w.fs * t)),
+        validate: (w) => (w.fc < 0 || w.fs < 0 ? '頻率不可為負值' : null),
+        breakpoints: () => [],
+        previewDuration: (w) => (w.fs > 0 ? 2 / w.fs : (w.fc > 0 ? 3 / w.fc : 1)),
+        describe: (w, unit) => `SFFM ${formatEngineering(w.va, unit, 4)} ${formatEngineering(w.fc, 'Hz', 4)}`,
+    },
+    // 分段線性：第一點之前維持第一點的值，最後一點之後維持最後的值
+    pwl: {
+        keyword: 'PWL',
+        name: '分段線性',
+        parameters: [],
+        evaluate(w, t) {
+            const points = w.points;
+            if (t <= points[0].t) return points[0].v;
+            for (let i = 1; i < points.length; i++) {
+                const a = points[i - 1];
+                const b = points[i];
+                if (t < b.t) return a.v + (b.v - a.v) * (t - a.t) / (b.t - a.t);
+            }
+            return points[points.length - 1].v;
+        },
+        validate(w) {
+            if (!Array.isArray(w.points) || w.points.length === 0) return '至少需要一個點';
+            if (w.points.some(p => !Number.isFinite(p.t) || !Number.isFinite(p.v))) return '時間與數值必須是數字';
+            if (w.points[0].t < 0) return '時間不可為負值';
+            if (w.points.some((p, i) => i > 0 && !(p.t > w.points[i - 1].t))) return '時間必須遞增';
+            return null;
+        },
+        breakpoints: (w) => w.points.map(p => p.t),
+        previewDuration: (w) => w.points[w.points.length - 1].t * 1.1,
+        describe: (w) => `PWL ${w.points.length} 點`,
+    },
+};
+
+/**
+ * 可選的波形類型 (供屬性面板的下拉選單與參數欄位使用)。
+ * @returns {Array<{type: string, keyword: string, name: string, parameters: Array<object>}>}
+ */
+export function listWaveformTypes() {
+    return Object.keys(WAVEFORMS).map(type => {
+        const { keyword, name, parameters } = WAVEFORMS[type];
+        return { type, keyword, name, parameters };
+    });
+}
+
+/**
+ * 建立某類型的預設波形。
+ * @param {string} type - 'pulse'、'sin'、'exp'、'sffm' 或 'pwl'。
+ * @returns {object}
+ */
+export function createWaveform(type) {
+    const waveform = { type };
+    WAVEFORMS[type].parameters.forEach(p => { waveform[p.key] = p.default; });
+    if (type === 'pwl') waveform.points = [{ t: 0, v: 0 }, { t: 1e-6, v: 5 }];
+    return waveform;
+}
+
+/**
+ * 檢查波形參數。
+ * @param {object} waveform
+ * @returns {string|null} - 錯誤原因，參數有效時為 null。
+ */
+export function validateWaveform(waveform) {
+    const definition = WAVEFORMS[waveform.type];
+    if (!definition) return `不支援的波形類型 ${waveform.type}`;
+    const missing = definition.parameters.find(p => !Number.isFinite(waveform[p.key]));
+    if (missing) return `${missing.label}必須是數字`;
+    return definition.validate(waveform);
+}
+
+/**
+ * 計算波形在時間 t 的值。
+ * @param {object} waveform
+ * @param {number} t - 時間 (s)。
+ * @returns {number}
+ */
+export function evaluateWaveform(waveform, t) {
+    return WAVEFORMS[waveform.type].evaluate(waveform, t);
+}
+
+/**
+ * 波形斜率不連續的時間點，暫態分析會在這些時間點上取樣，避免跨過脈波邊緣。
+ * @param {object} waveform
+ * @param {number} stopTime
+ * @returns {Array<number>} - 由小到大排列，只含 (0, stopTime) 之間的時間點。
+ */
+export function waveformBreakpoints(waveform, stopTime) {
+    return [...new Set(WAVEFORMS[waveform.type].breakpoints(waveform, stopTime))]
+        .filter(t => t > 0 && t < stopTime)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * 取樣波形供預覽圖使用；斷點前後各取一點，讓瞬間跳變畫成垂直線。
+ * @param {object} waveform
+ * @param {number} [count=200] - 均勻取樣點數。
+ * @returns {Array<{t: number, v: number}>}
+ */
+export function sampleWaveform(waveform, count = 200) {
+    const duration = WAVEFORMS[waveform.type].previewDuration(waveform);
+    const span = duration > 0 && Number.isFinite(duration) ? duration : 1;
+    const times = Array.from({ length: count + 1 }, (_, i) => span * i / count);
+    waveformBreakpoints(waveform, span).forEach(t => times.push(t, t - span * 1e-9));
+    return times.sort((a, b) => a - b).map(t => ({ t, v: evaluateWaveform(waveform, t) }));
+}
+
+/**
+ * 以 SPICE 語法輸出波形，如 PULSE(0 5 0 1n 1n 5u 10u)。
+ * @param {object} waveform
+ * @returns {string}
+ */
+export function formatWaveform(waveform) {
+    const definition = WAVEFORMS[waveform.type];
+    const values = waveform.type === 'pwl'
+        ? waveform.points.flatMap(p => [p.t, p.v])
+        : definition.parameters.map(p => waveform[p.key]);
+    return `${definition.keyword}(${values.map(v => formatEngineering(v)).join(' ')})`;
+}
+
+/**
+ * 畫布標籤使用的簡短說明，如「PULSE 0V→5V」。
+ * @param {object} waveform
+ * @param {string} unit - 電源的單位。
+ * @returns {string}
+ */
+export function describeWaveform(waveform, unit) {
+    return WAVEFORMS[waveform.type].describe(waveform, unit);
+}
+
+/**
+ * 由 SPICE 暫態函數的名稱與引數建立波形；省略的引數使用預設值
+ * (SPICE 以時間步長為預設的上升/下降時間，此處沿用編輯器的預設值)。
+ * @param {string} keyword - PULSE、SIN、EXP、SFFM 或 PWL (不分大小寫)。
+ * @param {Array<number>} args - 已轉為數值的引數。
+ * @returns {object}
+ * @throws {Error} 名稱不支援或 PWL 引數不成對時。
+ */
+export function waveformFromSpice(keyword, args) {
+    const type = Object.keys(WAVEFORMS).find(key => WAVEFORMS[key].keyword === keyword.toUpperCase());
+    if (!type) throw new Error(`不支援的暫態函數 ${keyword}`);
+    if (type === 'pwl') {
+        if (args.length === 0 || args.length % 2 !== 0) throw new Error('PWL 的時間與數值必須成對');
+        const points = [];
+        for (let i = 0; i < args.length; i += 2) points.push({ t: args[i], v: args[i + 1] });
+        return { type, points };
+    }
+    const waveform = createWaveform(type);
+    WAVEFORMS[type].parameters.forEach((p, i) => {
+        if (args[i] !== undefined) waveform[p.key] = args[i];
+    });
+    // 只給到延遲的 PULSE 在 SPICE 中是單一脈衝
+    if (type === 'pulse' && args.length < 7) waveform.per = 0;
+    return waveform;
+}
+
+/**
+ * 解析 PWL 的 CSV 檔：每列「時間,數值」，可用逗號、分號、Tab 或空白分隔，數值可帶字尾 (1m, 2.5u)。
+ * 開頭無法解析的列視為標題略過，# 或 * 開頭的列為註解。
+ * @param {string} text
+ * @returns {Array<{t: number, v: number}>}
+ * @throws {Error} 資料列格式錯誤或沒有任何資料時。
+ */
+export function parsePwlCsv(text) {
+    const points = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.trim();
+        if (!line || /^[#*]/.test(line)) return;
+        const [t, v] = line.split(/[,;\t ]+/).map(parseSpiceNumber);
+        if (Number.isFinite(t) && Number.isFinite(v)) {
+            points.push({ t, v });
+        } else if (points.length > 0) {
+            throw new Error(`CSV 第 ${index + 1} 行無法解析：「${line}」`);
+        }
+    });
+    if (points.length === 0) throw new Error('CSV 中沒有任何「時間,數值」資料');
+    return points;
+}